@@ -9,9 +9,17 @@ const hpp = require('hpp');
 
 const AppError = require('./utils/appError');
 const globalErrorHandler = require('./controllers/errorController');
+const audit = require('./utils/audit');
 const userRoutes = require('./routes/userRoutes');
 const billRoutes = require('./routes/billRoutes');
 const bidRoutes = require('./routes/bidRoutes');
+const fxRateRoutes = require('./routes/fxRateRoutes');
+const autoBidRuleRoutes = require('./routes/autoBidRuleRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const disputeRoutes = require('./routes/disputeRoutes');
 
 const app = express();
 
@@ -58,6 +66,9 @@ app.use(
   }),
 );
 
+//Request IDs, and the request as the source of audited changes
+app.use(audit.context);
+
 //Serving static files
 app.use(express.static(`${__dirname}/public`));
 
@@ -85,6 +96,13 @@ app.use((req, res, next) => {
 app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/bills', billRoutes);
 app.use('/api/v1/bids', bidRoutes);
+app.use('/api/v1/fx-rates', fxRateRoutes);
+app.use('/api/v1/auto-bid-rules', autoBidRuleRoutes);
+app.use('/api/v1/events', eventRoutes);
+app.use('/api/v1/notifications', notificationRoutes);
+app.use('/api/v1/webhooks', webhookRoutes);
+app.use('/api/v1/audit-events', auditRoutes);
+app.use('/api/v1/disputes', disputeRoutes);
 
 //Implimenting a route handler that was not cached by any of other route handlers like above route handlers
 //all middlewares function are executed in the order they are in the code
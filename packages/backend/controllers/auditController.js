@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/auditEventModel');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const APIFeatures = require('../utils/apiFeatures');
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`${name} must be a date`, 400);
+  }
+  return date;
+};
+
+// Query the audit trail (Admin only), newest first. Filter by entityType,
+// entity, actor, actorRole, action, job or requestId, and by date with
+// from/to.
+exports.getAuditEvents = catchAsync(async (req, res, next) => {
+  const filter = {};
+
+  ['entity', 'actor'].forEach((field) => {
+    if (!req.query[field]) return;
+    if (!mongoose.isValidObjectId(req.query[field])) {
+      throw new AppError(`Invalid ${field} ID`, 400);
+    }
+    filter[field] = req.query[field];
+  });
+  ['entityType', 'actorRole', 'action', 'job', 'requestId'].forEach((field) => {
+    if (req.query[field]) filter[field] = req.query[field];
+  });
+  if (
+    filter.entityType &&
+    !AuditEvent.ENTITY_TYPES.includes(filter.entityType)
+  ) {
+    return next(
+      new AppError(
+        `entityType must be one of ${AuditEvent.ENTITY_TYPES.join(', ')}`,
+        400,
+      ),
+    );
+  }
+
+  if (req.query.from || req.query.to) {
+    filter.createdAt = {};
+    if (req.query.from)
+      filter.createdAt.$gte = parseDate(req.query.from, 'from');
+    if (req.query.to) filter.createdAt.$lte = parseDate(req.query.to, 'to');
+  }
+
+  // Filters are taken from the query above, only paging is left to
+  // APIFeatures
+  const features = new APIFeatures(AuditEvent.find(filter), {
+    sort: '-createdAt',
+    cursor: req.query.cursor,
+    page: req.query.page,
+    limit: req.query.limit,
+    count: req.query.count,
+  })
+    .sort()
+    .paginate()
+    .populate('actor', 'name email role');
+  const { docs: events, pagination } = await features.execute();
+
+  res.set('Link', APIFeatures.linkHeader(req, pagination));
+  res.status(200).json({
+    status: 'success',
+    results: events.length,
+    pagination,
+    data: {
+      events,
+    },
+  });
+});
+
+exports.getAuditEvent = catchAsync(async (req, res, next) => {
+  const event = await AuditEvent.findById(req.params.id).populate(
+    'actor',
+    'name email role',
+  );
+
+  if (!event) {
+    return next(new AppError('No audit event found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      event,
+    },
+  });
+});
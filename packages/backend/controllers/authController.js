@@ -39,8 +39,31 @@ const createSendToken = (user, statusCode, res) => {
   });
 };
 
+// body without the balance fields (see User.BALANCE_FIELDS), as nested
+// objects or dotted paths: a new user starts with nothing, and funds are
+// only added through the ledger
+const withoutBalances = (body) => {
+  const data = { ...body };
+  User.BALANCE_FIELDS.forEach((path) => {
+    const [details, field] = path.split('.');
+    Object.keys(data)
+      .filter((key) => key === path || key.startsWith(`${path}.`))
+      .forEach((key) => delete data[key]);
+    if (data[details] && typeof data[details] === 'object') {
+      data[details] = { ...data[details] };
+      delete data[details][field];
+    }
+  });
+  return data;
+};
+
 exports.signUp = catchAsync(async (req, res, next) => {
-  const newUser = await User.create(req.body);
+  // Admins are only ever created directly in the database
+  if (req.body.role === 'admin') {
+    return next(new AppError('You cannot sign up as an admin', 403));
+  }
+
+  const newUser = await User.create(withoutBalances(req.body));
 
   createSendToken(newUser, 201, res);
 });
@@ -66,6 +89,38 @@ exports.login = catchAsync(async (req, res, next) => {
   createSendToken(user, 200, res);
 });
 
+// Stream tokens open the real-time event stream and nothing else, and only
+// for a minute, as they are passed in the URL (see allowQueryToken). An open
+// stream outlives its token; reopening it takes a new one.
+const STREAM_TOKEN_EXPIRES_IN = 60;
+
+exports.createStreamToken = (req, res) => {
+  const token = jwt.sign(
+    { id: req.user._id, purpose: 'stream' },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TOKEN_EXPIRES_IN },
+  );
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      token,
+      expiresIn: STREAM_TOKEN_EXPIRES_IN,
+    },
+  });
+};
+
+// EventSource (used for the real-time event stream) cannot send headers, so
+// routes using this before protect also take a stream token as ?token=. The
+// JWT itself is not accepted there, as URLs end up in logs.
+exports.allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+    req.tokenPurpose = 'stream';
+  }
+  next();
+};
+
 exports.protect = catchAsync(async (req, res, next) => {
   //1)Getting token and check if its there
   let token;
@@ -84,6 +139,11 @@ exports.protect = catchAsync(async (req, res, next) => {
   //2)Verification/Validate token
 
   const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== req.tokenPurpose) {
+    return next(
+      new AppError('This token cannot be used here. Please log in again.', 401),
+    );
+  }
 
   //3)Check if user still exists
   const currentUser = await User.findById(decoded.id);
@@ -0,0 +1,115 @@
+const AutoBidRule = require('../models/autoBidRuleModel');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+const ruleFields = [
+  'name',
+  'isActive',
+  'minAmount',
+  'maxAmount',
+  'currency',
+  'sectors',
+  'maxDaysToDue',
+  'financingPercentage',
+  'interest',
+  'terms',
+  'dailyBudget',
+];
+
+// Default horizon per risk tolerance; high tolerance bids on any due date
+const MAX_DAYS_BY_RISK = { low: 30, medium: 90 };
+
+const filterRuleFields = (body) => {
+  const data = {};
+  Object.keys(body).forEach((key) => {
+    if (ruleFields.includes(key)) {
+      data[key] = body[key];
+    }
+  });
+  return data;
+};
+
+const findOwnRule = async (req) => {
+  const rule = await AutoBidRule.findById(req.params.id);
+
+  if (!rule) {
+    throw new AppError('No auto-bid rule found with that ID', 404);
+  }
+  if (rule.financer.toString() !== req.user.id) {
+    throw new AppError('You can only manage your own auto-bid rules', 403);
+  }
+  return rule;
+};
+
+// Create an auto-bid rule (Financer only). Criteria left out default to the
+// financer's investment preferences.
+exports.createRule = catchAsync(async (req, res, next) => {
+  const preferences = req.user.financerDetails?.investmentPreferences || {};
+  const data = filterRuleFields(req.body);
+
+  const rule = await AutoBidRule.create({
+    minAmount: preferences.minAmount,
+    maxAmount: preferences.maxAmount,
+    sectors: preferences.preferredSectors,
+    maxDaysToDue: MAX_DAYS_BY_RISK[preferences.riskTolerance],
+    ...data,
+    financer: req.user.id,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      rule,
+    },
+  });
+});
+
+// Get the current financer's auto-bid rules
+exports.getMyRules = catchAsync(async (req, res, next) => {
+  const rules = await AutoBidRule.find({ financer: req.user.id }).sort(
+    'createdAt',
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: rules.length,
+    data: {
+      rules,
+    },
+  });
+});
+
+exports.getRule = catchAsync(async (req, res, next) => {
+  const rule = await findOwnRule(req);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      rule,
+    },
+  });
+});
+
+exports.updateRule = catchAsync(async (req, res, next) => {
+  const rule = await findOwnRule(req);
+
+  rule.set(filterRuleFields(req.body));
+  await rule.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      rule,
+    },
+  });
+});
+
+exports.deleteRule = catchAsync(async (req, res, next) => {
+  const rule = await findOwnRule(req);
+  await rule.deleteOne();
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
@@ -1,9 +1,41 @@
 const Bid = require('../models/bidModel');
 const Bill = require('../models/billModel');
-const User = require('../models/userModal');
+const BidRevision = require('../models/bidRevisionModel');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const APIFeatures = require('../utils/apiFeatures');
+const runInTransaction = require('../utils/transaction');
+const financing = require('../utils/financing');
+const funds = require('../utils/funds');
+const auction = require('../utils/auction');
+const negotiation = require('../utils/negotiation');
+const bidding = require('../utils/bidding');
+const marketEvents = require('../utils/marketEvents');
+const currencies = require('../utils/currency');
+
+// Fields financers may filter and sort their bids on
+const bidQueryOptions = {
+  filterFields: [
+    'status',
+    'bill',
+    'currency',
+    'financingPercentage',
+    'bidAmount',
+    'interest',
+    'createdAt',
+    'expiresAt',
+    'acceptedAt',
+  ],
+  sortFields: [
+    'createdAt',
+    'financingPercentage',
+    'bidAmount',
+    'interest',
+    'expiresAt',
+    'acceptedAt',
+    'status',
+  ],
+};
 
 // Place a bid on a bill (Financer only)
 exports.placeBid = catchAsync(async (req, res, next) => {
@@ -13,51 +45,19 @@ exports.placeBid = catchAsync(async (req, res, next) => {
   }
 
   const { billId, financingPercentage, terms, interest } = req.body;
+  const previousLeader = await Bid.findHighestBid(billId);
+
+  const bid = await runInTransaction((session) =>
+    bidding.placeBid(billId, {
+      financerId: req.user.id,
+      financingPercentage,
+      interest,
+      terms,
+      session,
+    }),
+  );
 
-  // Validate bill exists and is available for financing
-  const bill = await Bill.findById(billId);
-  if (!bill) {
-    return next(new AppError('No bill found with that ID', 404));
-  }
-
-  if (!bill.isInMarketplace || bill.status !== 'sent') {
-    return next(new AppError('Bill is not available for financing', 400));
-  }
-
-  if (bill.financer) {
-    return next(new AppError('Bill has already been financed', 400));
-  }
-
-  if (bill.dueDate <= new Date()) {
-    return next(new AppError('Cannot bid on overdue bills', 400));
-  }
-
-  // Check if financer has sufficient funds
-  const bidAmount = (bill.amount * financingPercentage) / 100;
-  if (req.user.financerDetails.availableFunds < bidAmount) {
-    return next(new AppError('Insufficient funds to place this bid', 400));
-  }
-
-  // Check if financer already has a bid on this bill
-  const existingBid = await Bid.findOne({
-    bill: billId,
-    financer: req.user.id,
-  });
-  if (existingBid) {
-    return next(
-      new AppError('You have already placed a bid on this bill', 400),
-    );
-  }
-
-  const bid = await Bid.create({
-    bill: billId,
-    financer: req.user.id,
-    financingPercentage,
-    terms,
-    interest: interest || 0,
-  });
-
-  await req.user.updateStats('bidPlaced');
+  await marketEvents.bidChanged('bid.placed', bid, previousLeader);
 
   res.status(201).json({
     status: 'success',
@@ -87,11 +87,19 @@ exports.updateBid = catchAsync(async (req, res, next) => {
     return next(new AppError('Bid has expired', 400));
   }
 
+  if (bid.openCounterOffer) {
+    return next(new AppError('Respond to the open counter-offer instead', 400));
+  }
+
   // Check if bill is still available
   const bill = await Bill.findById(bid.bill);
   if (bill.financer) {
     return next(new AppError('Bill has already been financed', 400));
   }
+  // e.g. disputed bills, whose bids are frozen until the dispute is resolved
+  if (bill.status !== 'sent') {
+    return next(new AppError('Bill is not available for financing', 400));
+  }
 
   const allowedFields = ['financingPercentage', 'terms', 'interest'];
   const updateData = {};
@@ -102,21 +110,52 @@ exports.updateBid = catchAsync(async (req, res, next) => {
     }
   });
 
-  // Recalculate bid amount if percentage changed
-  if (updateData.financingPercentage) {
-    const newBidAmount = (bill.amount * updateData.financingPercentage) / 100;
-    if (req.user.financerDetails.availableFunds < newBidAmount) {
-      return next(
-        new AppError('Insufficient funds for updated bid amount', 400),
+  const previousLeader = await Bid.findHighestBid(bill._id);
+
+  const updatedBid = await runInTransaction(async (session) => {
+    if (bill.auctionEndsAt) {
+      await auction.checkBid(
+        bill,
+        {
+          financingPercentage:
+            updateData.financingPercentage ?? bid.financingPercentage,
+          interest: updateData.interest ?? bid.interest,
+        },
+        { financerId: req.user.id, session },
+      );
+      await auction.recordBid(bill, session);
+    }
+
+    // Recalculate bid amount and resize the funds hold if percentage changed
+    if (updateData.financingPercentage) {
+      updateData.bidAmount =
+        (bill.netAmount * updateData.financingPercentage) / 100;
+      await funds.adjustHold(bid._id, updateData.bidAmount, session);
+    }
+
+    const newBid = await Bid.findOneAndUpdate(
+      { _id: bid._id, status: 'pending' },
+      updateData,
+      { new: true, runValidators: true, session },
+    );
+
+    if (newBid) {
+      await BidRevision.record(
+        newBid,
+        { action: 'updated', changedBy: req.user._id, before: bid.toObject() },
+        session,
       );
     }
-  }
 
-  const updatedBid = await Bid.findByIdAndUpdate(req.params.id, updateData, {
-    new: true,
-    runValidators: true,
+    return newBid;
   });
 
+  if (!updatedBid) {
+    return next(new AppError('Only pending bids can be updated', 400));
+  }
+
+  await marketEvents.bidChanged('bid.updated', updatedBid, previousLeader);
+
   res.status(200).json({
     status: 'success',
     data: {
@@ -127,60 +166,62 @@ exports.updateBid = catchAsync(async (req, res, next) => {
 
 // Accept a bid (Organization only)
 exports.acceptBid = catchAsync(async (req, res, next) => {
-  const bid = await Bid.findById(req.params.id).populate('bill');
-
-  if (!bid) {
-    return next(new AppError('No bid found with that ID', 404));
-  }
+  const { bid, bill, rejectedBids } = await runInTransaction((session) =>
+    financing.acceptBid(req.params.id, {
+      organizationId: req.user.id,
+      session,
+    }),
+  );
 
-  const bill = bid.bill;
+  await marketEvents.bidAccepted(bid, bill, rejectedBids);
 
-  // Check if user owns the bill
-  if (bill.organization.toString() !== req.user.id) {
-    return next(
-      new AppError('You can only accept bids on your own bills', 403),
-    );
-  }
+  res.status(200).json({
+    status: 'success',
+    data: {
+      bid,
+      bill,
+    },
+  });
+});
 
-  if (bid.status !== 'pending') {
-    return next(new AppError('Bid is no longer available', 400));
-  }
+// Send a counter-offer on a pending bid (bill organization, or the financer
+// answering one)
+exports.counterBid = catchAsync(async (req, res, next) => {
+  const { financingPercentage, interest, terms, message } = req.body;
+
+  const bid = await runInTransaction((session) =>
+    negotiation.counter(req.params.id, {
+      user: req.user,
+      financingPercentage,
+      interest,
+      terms,
+      message,
+      session,
+    }),
+  );
 
-  if (bid.expiresAt <= new Date()) {
-    return next(new AppError('Bid has expired', 400));
-  }
+  await marketEvents.counterOffered(bid);
 
-  if (bill.financer) {
-    return next(new AppError('Bill has already been financed', 400));
-  }
+  res.status(201).json({
+    status: 'success',
+    data: {
+      bid,
+      counterOffer: bid.counterOffers[bid.counterOffers.length - 1],
+    },
+  });
+});
 
-  // Update bid status
-  bid.status = 'accepted';
-  await bid.save();
-
-  // Update bill with financing details
-  bill.financer = bid.financer;
-  bill.currentOwner = bid.financer;
-  bill.status = 'financed';
-  bill.financingPercentage = bid.financingPercentage;
-  bill.financedAmount = bid.bidAmount;
-  bill.isInMarketplace = false;
-  await bill.save();
-
-  // Reject all other pending bids for this bill
-  await Bid.updateMany(
-    { bill: bill._id, status: 'pending', _id: { $ne: bid._id } },
-    { status: 'rejected' },
+// Accept the other side's counter-offer, which finances the bill on its terms
+exports.acceptCounterOffer = catchAsync(async (req, res, next) => {
+  const { bid, bill, rejectedBids } = await runInTransaction((session) =>
+    negotiation.respond(req.params.id, {
+      user: req.user,
+      accept: true,
+      session,
+    }),
   );
 
-  // Update financer stats
-  const financer = await User.findById(bid.financer);
-  await financer.updateStats('bidWon');
-  await financer.updateStats('invested', bid.bidAmount);
-
-  // Update financer's available funds
-  financer.financerDetails.availableFunds -= bid.bidAmount;
-  await financer.save({ validateBeforeSave: false });
+  await marketEvents.bidAccepted(bid, bill, rejectedBids);
 
   res.status(200).json({
     status: 'success',
@@ -191,28 +232,86 @@ exports.acceptBid = catchAsync(async (req, res, next) => {
   });
 });
 
+// Reject the other side's counter-offer; the bid stays on its last terms
+exports.rejectCounterOffer = catchAsync(async (req, res, next) => {
+  const { bid } = await runInTransaction((session) =>
+    negotiation.respond(req.params.id, {
+      user: req.user,
+      accept: false,
+      session,
+    }),
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      bid,
+    },
+  });
+});
+
+// Get the negotiation thread of a bid (bidding financer or bill organization)
+exports.getCounterOffers = catchAsync(async (req, res, next) => {
+  const bid = await Bid.findById(req.params.id).populate(
+    'counterOffers.by',
+    'name email role',
+  );
+
+  if (!bid) {
+    return next(new AppError('No bid found with that ID', 404));
+  }
+
+  const bill = await Bill.findById(bid.bill);
+  const hasAccess =
+    bid.financer.toString() === req.user.id ||
+    (bill && bill.organization.toString() === req.user.id);
+
+  if (!hasAccess) {
+    return next(
+      new AppError('You do not have permission to access this bid', 403),
+    );
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: bid.counterOffers.length,
+    data: {
+      openCounterOffer: bid.openCounterOffer,
+      counterOffers: bid.counterOffers,
+    },
+  });
+});
+
 // Get all bids for current user (Financer only)
 exports.getMyBids = catchAsync(async (req, res, next) => {
   if (req.user.role !== 'financer') {
     return next(new AppError('Only financers can access bids', 403));
   }
 
-  const features = new APIFeatures(
+  const { docs: bids, pagination } = await new APIFeatures(
     Bid.find({ financer: req.user.id }),
     req.query,
+    bidQueryOptions,
   )
     .filter()
     .sort()
     .limitFields()
-    .paginate();
-
-  const bids = await features.query
-    .populate('bill', 'billNumber title amount dueDate status')
-    .populate('bill.organization', 'name organizationDetails.companyName');
+    .paginate()
+    .populate({
+      path: 'bill',
+      select: 'billNumber title amount currency dueDate status organization',
+      populate: {
+        path: 'organization',
+        select: 'name organizationDetails.companyName',
+      },
+    })
+    .execute();
 
+  res.set('Link', APIFeatures.linkHeader(req, pagination));
   res.status(200).json({
     status: 'success',
     results: bids.length,
+    pagination,
     data: {
       bids,
     },
@@ -248,9 +347,13 @@ exports.getBidsForBill = catchAsync(async (req, res, next) => {
     filter.financer = req.user.id;
   }
 
-  const bids = await Bid.find(filter)
-    .populate('financer', 'name email financerDetails.companyName')
-    .sort('-financingPercentage -createdAt');
+  const bids = Bid.rank(
+    await Bid.find(filter).populate(
+      'financer',
+      'name email financerDetails.companyName',
+    ),
+    bill,
+  );
 
   res.status(200).json({
     status: 'success',
@@ -290,6 +393,40 @@ exports.getBid = catchAsync(async (req, res, next) => {
   });
 });
 
+// Get the revision history of a bid (bidding financer or bill organization).
+// Still available after the bid was cancelled.
+exports.getBidHistory = catchAsync(async (req, res, next) => {
+  const bid = await Bid.findById(req.params.id);
+  const revisions = await BidRevision.find({ bid: req.params.id })
+    .sort('revision')
+    .populate('changedBy', 'name email role');
+
+  const source = bid || revisions[0];
+  if (!source) {
+    return next(new AppError('No bid found with that ID', 404));
+  }
+
+  const bill = await Bill.findById(source.bill);
+  const hasAccess =
+    source.financer.toString() === req.user.id ||
+    (bill && bill.organization.toString() === req.user.id);
+
+  if (!hasAccess) {
+    return next(
+      new AppError('You do not have permission to access this bid', 403),
+    );
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: revisions.length,
+    data: {
+      bid,
+      revisions,
+    },
+  });
+});
+
 // Cancel/withdraw bid (Financer only)
 exports.cancelBid = catchAsync(async (req, res, next) => {
   const bid = await Bid.findById(req.params.id);
@@ -306,7 +443,26 @@ exports.cancelBid = catchAsync(async (req, res, next) => {
     return next(new AppError('Only pending bids can be cancelled', 400));
   }
 
-  await Bid.findByIdAndDelete(req.params.id);
+  await runInTransaction(async (session) => {
+    // Still pending: the bid may have been accepted since it was read
+    const deleted = await Bid.findOneAndDelete(
+      { _id: bid._id, status: 'pending' },
+      { session },
+    );
+    if (!deleted) {
+      throw new AppError(
+        'Bid is no longer pending and cannot be cancelled',
+        409,
+      );
+    }
+
+    await funds.releaseHold(bid._id, 'cancelled', session);
+    await BidRevision.record(
+      bid,
+      { action: 'cancelled', changedBy: req.user._id },
+      session,
+    );
+  });
 
   res.status(204).json({
     status: 'success',
@@ -336,6 +492,17 @@ exports.getHighestBid = catchAsync(async (req, res, next) => {
     );
   }
 
+  // Sealed auctions keep bids secret from other financers until they close
+  if (
+    bill.auctionMode === 'sealed' &&
+    auction.isRunning(bill) &&
+    bill.organization.toString() !== req.user.id
+  ) {
+    return next(
+      new AppError('Bids on a sealed auction are not disclosed', 403),
+    );
+  }
+
   const highestBid = await Bid.findHighestBid(req.params.billId);
 
   res.status(200).json({
@@ -346,49 +513,128 @@ exports.getHighestBid = catchAsync(async (req, res, next) => {
   });
 });
 
+// Compare the live bids on a bill side by side, best first (Organization only)
+exports.compareBids = catchAsync(async (req, res, next) => {
+  const bill = await Bill.findById(req.params.billId);
+
+  if (!bill) {
+    return next(new AppError('No bill found with that ID', 404));
+  }
+
+  if (bill.organization.toString() !== req.user.id) {
+    return next(
+      new AppError('You can only compare bids on your own bills', 403),
+    );
+  }
+
+  const bids = Bid.rank(
+    await Bid.getActiveBids(bill._id).populate(
+      'financer',
+      'name financerDetails.companyName',
+    ),
+    bill,
+  );
+
+  const comparison = bids.map((bid, i) => ({
+    rank: i + 1,
+    bid: bid._id,
+    financer: bid.financer,
+    financingPercentage: bid.financingPercentage,
+    interest: bid.interest,
+    ...bid.effectiveCost,
+    // What the organization is left with once the financer is repaid,
+    // before the platform fee
+    netToOrganization:
+      Math.round((bill.netAmount - bid.effectiveCost.financingCost) * 100) /
+      100,
+    meetsReserve: auction.qualifies(bid, bill),
+    terms: bid.terms,
+    expiresAt: bid.expiresAt,
+  }));
+
+  res.status(200).json({
+    status: 'success',
+    results: comparison.length,
+    data: {
+      bill: {
+        _id: bill._id,
+        billNumber: bill.billNumber,
+        amount: bill.amount,
+        currency: bill.currency,
+        dueDate: bill.dueDate,
+      },
+      comparison,
+    },
+  });
+});
+
 // Get bid statistics for financer
 exports.getBidStats = catchAsync(async (req, res, next) => {
   if (req.user.role !== 'financer') {
     return next(new AppError('Only financers can access bid statistics', 403));
   }
 
-  const stats = await Bid.aggregate([
+  // Amounts are converted to the reporting currency
+  const currency = currencies.reportingCurrency(req);
+  const rates = await currencies.getRates();
+
+  const groups = await Bid.aggregate([
     { $match: { financer: req.user._id } },
     {
       $group: {
-        _id: '$status',
+        _id: { status: '$status', currency: currencies.currencyOf() },
         count: { $sum: 1 },
         totalAmount: { $sum: '$bidAmount' },
-        avgPercentage: { $avg: '$financingPercentage' },
-      },
-    },
-  ]);
-
-  const totalStats = await Bid.aggregate([
-    { $match: { financer: req.user._id } },
-    {
-      $group: {
-        _id: null,
-        totalBids: { $sum: 1 },
-        totalBidAmount: { $sum: '$bidAmount' },
-        avgBidAmount: { $avg: '$bidAmount' },
+        totalPercentage: { $sum: '$financingPercentage' },
         maxPercentage: { $max: '$financingPercentage' },
         minPercentage: { $min: '$financingPercentage' },
       },
     },
   ]);
 
+  const merge = (key) =>
+    currencies.mergeByCurrency(
+      groups,
+      {
+        key,
+        money: ['totalAmount'],
+        sum: ['count', 'totalPercentage'],
+        max: ['maxPercentage'],
+        min: ['minPercentage'],
+      },
+      currency,
+      rates,
+    );
+  const round = (value) => Math.round(value * 100) / 100;
+
+  const stats = merge('status').map((el) => ({
+    _id: el._id,
+    count: el.count,
+    totalAmount: el.totalAmount,
+    avgPercentage: round(el.totalPercentage / el.count),
+  }));
+  const [total] = merge(null);
+
   res.status(200).json({
     status: 'success',
     data: {
+      currency,
       statusStats: stats,
-      totalStats: totalStats[0] || {
-        totalBids: 0,
-        totalBidAmount: 0,
-        avgBidAmount: 0,
-        maxPercentage: 0,
-        minPercentage: 0,
-      },
+      totalStats: total
+        ? {
+            totalBids: total.count,
+            totalBidAmount: total.totalAmount,
+            avgBidAmount: round(total.totalAmount / total.count),
+            maxPercentage: total.maxPercentage,
+            minPercentage: total.minPercentage,
+          }
+        : {
+            totalBids: 0,
+            totalBidAmount: 0,
+            avgBidAmount: 0,
+            maxPercentage: 0,
+            minPercentage: 0,
+          },
     },
   });
 });
@@ -1,9 +1,23 @@
 const Bill = require('../models/billModel');
 const User = require('../models/userModal');
 const Bid = require('../models/bidModel');
+const Reminder = require('../models/reminderModel');
+const CreditNote = require('../models/creditNoteModel');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const APIFeatures = require('../utils/apiFeatures');
+const runInTransaction = require('../utils/transaction');
+const financing = require('../utils/financing');
+const auction = require('../utils/auction');
+const billLifecycle = require('../utils/billLifecycle');
+const creditNotes = require('../utils/creditNotes');
+const transitions = require('../utils/billTransitions');
+const autoBidding = require('../utils/autoBidding');
+const recommendations = require('../utils/recommendations');
+const marketplace = require('../utils/marketplace');
+const marketEvents = require('../utils/marketEvents');
+const renderBillPdf = require('../utils/billPdf');
+const currencies = require('../utils/currency');
 
 // Generate unique bill number
 const generateBillNumber = () => {
@@ -12,6 +26,70 @@ const generateBillNumber = () => {
   return `BILL-${timestamp}-${randomStr}`.toUpperCase();
 };
 
+// Whether user is the given party of a bill; works for populated references
+const isParty = (ref, user) => !!ref && ref._id.toString() === user.id;
+
+// Bills are visible to their organization, customer and financer
+const canViewBill = (bill, user) =>
+  isParty(bill.organization, user) ||
+  isParty(bill.customer, user) ||
+  isParty(bill.financer, user);
+
+// Fields an organization may set on its own bills. With lineItems the amount
+// is computed from them by billModel.
+const editableFields = [
+  'title',
+  'description',
+  'amount',
+  'currency',
+  'dueDate',
+  'customer',
+  'installments',
+  'lineItems',
+  'auctionEndsAt',
+  'auctionMode',
+  'reserveTerms',
+];
+
+const filterBillFields = (body) => {
+  const data = {};
+  Object.keys(body).forEach((key) => {
+    if (editableFields.includes(key)) {
+      data[key] = body[key];
+    }
+  });
+  return data;
+};
+
+// Fields clients may filter and sort bill lists on. The parties are left out
+// so a filter can never widen a list beyond the user's own bills.
+const billQueryOptions = {
+  filterFields: [
+    'status',
+    'currency',
+    'amount',
+    'dueDate',
+    'createdAt',
+    'sentAt',
+    'paidAt',
+    'financedAt',
+    'isInMarketplace',
+    'auctionMode',
+    'billNumber',
+  ],
+  sortFields: [
+    'createdAt',
+    'amount',
+    'dueDate',
+    'sentAt',
+    'paidAt',
+    'financedAt',
+    'billNumber',
+    'title',
+    'status',
+  ],
+};
+
 // Create a new bill (Organization only)
 exports.createBill = catchAsync(async (req, res, next) => {
   // Check if user is organization
@@ -25,8 +103,13 @@ exports.createBill = catchAsync(async (req, res, next) => {
     return next(new AppError('Invalid customer ID', 400));
   }
 
+  if (req.body.lineItems !== undefined && !Array.isArray(req.body.lineItems)) {
+    return next(new AppError('Line items must be a list', 400));
+  }
+
+  // Totals, status and financing fields are never taken from the client
   const billData = {
-    ...req.body,
+    ...filterBillFields(req.body),
     organization: req.user.id,
     currentOwner: req.user.id,
     billNumber: generateBillNumber(),
@@ -51,14 +134,7 @@ exports.sendBill = catchAsync(async (req, res, next) => {
     return next(new AppError('No bill found with that ID', 404));
   }
 
-  // Check if user owns the bill
-  if (bill.organization.toString() !== req.user.id) {
-    return next(new AppError('You can only send your own bills', 403));
-  }
-
-  if (bill.status !== 'draft') {
-    return next(new AppError('Bill has already been sent', 400));
-  }
+  transitions.check(bill, 'send', req.user);
 
   bill.status = 'sent';
   await bill.save();
@@ -69,6 +145,75 @@ exports.sendBill = catchAsync(async (req, res, next) => {
   const customer = await User.findById(bill.customer);
   await customer.updateStats('billReceived');
 
+  await marketEvents.billSent(bill);
+
+  // Let financers' auto-bid rules bid on the new listing. The outcome is only
+  // for the rules' financers, who see it on their rules; the organization
+  // sees the placed bids like any other.
+  await autoBidding.run(bill);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      bill,
+    },
+  });
+});
+
+// Put a sent bill up for auction, or relist it after an auction closed
+// without a winner (Organization only)
+exports.startAuction = catchAsync(async (req, res, next) => {
+  const bill = await Bill.findById(req.params.id);
+
+  if (!bill) {
+    return next(new AppError('No bill found with that ID', 404));
+  }
+
+  if (bill.organization.toString() !== req.user.id) {
+    return next(new AppError('You can only auction your own bills', 403));
+  }
+
+  if (bill.status !== 'sent' || bill.financer) {
+    return next(
+      new AppError(
+        'Only sent bills that are not financed can be auctioned',
+        400,
+      ),
+    );
+  }
+
+  if (auction.isRunning(bill)) {
+    return next(new AppError('Bill is already being auctioned', 400));
+  }
+
+  const { auctionEndsAt, auctionMode, reserveTerms } = req.body;
+  if (!auctionEndsAt || new Date(auctionEndsAt) <= new Date()) {
+    return next(new AppError('Auction end must be in the future', 400));
+  }
+
+  bill.set({
+    auctionEndsAt,
+    auctionMode,
+    reserveTerms,
+    auctionExtensions: 0,
+    auctionLastBidAt: undefined,
+    auctionClosedAt: undefined,
+    auctionOutcome: undefined,
+    isInMarketplace: true,
+  });
+
+  // Bids already on the bill now run until the auction is awarded
+  await runInTransaction(async (session) => {
+    await bill.save({ session });
+    await Bid.updateMany(
+      { bill: bill._id, status: 'pending' },
+      { expiresAt: auction.bidExpiry(bill) },
+      { session },
+    );
+  });
+
+  await marketEvents.billListed(bill);
+
   res.status(200).json({
     status: 'success',
     data: {
@@ -93,20 +238,23 @@ exports.getMyBills = catchAsync(async (req, res, next) => {
       break;
   }
 
-  const features = new APIFeatures(Bill.find(filter), req.query)
+  const { docs: bills, pagination } = await new APIFeatures(
+    Bill.find(filter),
+    req.query,
+    billQueryOptions,
+  )
     .filter()
     .sort()
     .limitFields()
-    .paginate();
-
-  const bills = await features.query.populate(
-    'organization customer financer',
-    'name email',
-  );
+    .paginate()
+    .populate('organization customer financer', 'name email')
+    .execute();
 
+  res.set('Link', APIFeatures.linkHeader(req, pagination));
   res.status(200).json({
     status: 'success',
     results: bills.length,
+    pagination,
     data: {
       bills,
     },
@@ -116,6 +264,9 @@ exports.getMyBills = catchAsync(async (req, res, next) => {
 // Get bills by status for current user
 exports.getBillsByStatus = catchAsync(async (req, res, next) => {
   const { status } = req.params;
+  if (!transitions.STATUSES.includes(status)) {
+    return next(new AppError(`Unknown bill status: ${status}`, 400));
+  }
   let filter = { status };
 
   switch (req.user.role) {
@@ -130,13 +281,29 @@ exports.getBillsByStatus = catchAsync(async (req, res, next) => {
       break;
   }
 
-  const bills = await Bill.find(filter)
+  // The status comes from the path, so it cannot be filtered on again
+  const { docs: bills, pagination } = await new APIFeatures(
+    Bill.find(filter),
+    req.query,
+    {
+      ...billQueryOptions,
+      filterFields: billQueryOptions.filterFields.filter(
+        (el) => el !== 'status',
+      ),
+    },
+  )
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate()
     .populate('organization customer financer', 'name email')
-    .sort('-createdAt');
+    .execute();
 
+  res.set('Link', APIFeatures.linkHeader(req, pagination));
   res.status(200).json({
     status: 'success',
     results: bills.length,
+    pagination,
     data: {
       bills,
     },
@@ -150,89 +317,130 @@ exports.getMarketplaceBills = catchAsync(async (req, res, next) => {
     return next(new AppError('Only financers can access the marketplace', 403));
   }
 
-  const filter = {
-    isInMarketplace: true,
-    status: 'sent',
-    dueDate: { $gt: new Date() }, // Not overdue
-    financer: { $exists: false }, // Not yet financed
-  };
+  // Keyword search and filters, with facet counts for building the filters
+  const { bills, pagination, facets } = await marketplace.search(req.query);
 
-  const features = new APIFeatures(Bill.find(filter), req.query)
-    .filter()
-    .sort()
-    .limitFields()
-    .paginate();
+  res.set('Link', APIFeatures.linkHeader(req, pagination));
+  res.status(200).json({
+    status: 'success',
+    results: bills.length,
+    pagination,
+    data: {
+      bills,
+      facets,
+    },
+  });
+});
 
-  const bills = await features.query
+// Most recent open bills considered for recommendations
+const RECOMMENDATION_CANDIDATES = 200;
+
+// Get open bills ranked by how well they fit the financer, with the reasons
+// for each score (Financer only)
+exports.getRecommendedBills = catchAsync(async (req, res, next) => {
+  // Bills the financer already bid on are left out
+  const biddedBills = await Bid.distinct('bill', { financer: req.user._id });
+
+  const bills = await Bill.find({
+    ...Bill.marketplaceFilter(),
+    _id: { $nin: biddedBills },
+  })
+    .sort('-sentAt')
+    .limit(RECOMMENDATION_CANDIDATES)
     .populate(
-      'organization customer',
-      'name email organizationDetails.companyName',
-    )
-    .populate({
-      path: 'bids',
-      match: { status: 'pending' },
-      select: 'financer financingPercentage bidAmount',
-      populate: {
-        path: 'financer',
-        select: 'name email',
-      },
-    });
+      'organization',
+      'name organizationDetails.companyName organizationDetails.businessType',
+    );
+
+  const profile = await recommendations.profile(req.user);
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+
+  const recommended = bills
+    .map((bill) => ({ bill, ...recommendations.score(bill, profile) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
 
   res.status(200).json({
     status: 'success',
-    results: bills.length,
+    results: recommended.length,
     data: {
-      bills,
+      recommendations: recommended,
     },
   });
 });
 
-// Pay bill (Customer only)
+// Pay bill, in full or in part (Customer only)
 exports.payBill = catchAsync(async (req, res, next) => {
-  const bill = await Bill.findById(req.params.id);
+  const bill = await runInTransaction((session) =>
+    financing.payBill(req.params.id, {
+      customerId: req.user.id,
+      amount: req.body.amount,
+      method: req.body.method,
+      reference: req.body.reference,
+      session,
+    }),
+  );
 
-  if (!bill) {
-    return next(new AppError('No bill found with that ID', 404));
-  }
+  await marketEvents.billPaid(
+    bill,
+    bill.payments[bill.payments.length - 1].amount,
+  );
 
-  // Check if user is the customer for this bill
-  if (bill.customer.toString() !== req.user.id) {
-    return next(new AppError('You can only pay your own bills', 403));
-  }
+  res.status(200).json({
+    status: 'success',
+    data: {
+      bill,
+    },
+  });
+});
 
-  if (bill.status === 'paid') {
-    return next(new AppError('Bill has already been paid', 400));
-  }
+// Issue a credit note against a sent bill (Organization only). Body: reason,
+// and amount unless it credits everything outstanding.
+exports.issueCreditNote = catchAsync(async (req, res, next) => {
+  const { creditNote, bill, from, rejectedBids } = await runInTransaction(
+    (session) =>
+      creditNotes.issue(req.params.id, {
+        user: req.user,
+        amount: req.body.amount,
+        reason: req.body.reason,
+        session,
+      }),
+  );
 
-  if (
-    bill.status !== 'sent' &&
-    bill.status !== 'overdue' &&
-    bill.status !== 'financed'
-  ) {
-    return next(new AppError('Bill cannot be paid in current status', 400));
-  }
+  await marketEvents.billCredited(creditNote, bill, { from, rejectedBids });
 
-  // Update bill status
-  bill.status = 'paid';
-  await bill.save();
+  res.status(201).json({
+    status: 'success',
+    data: {
+      creditNote,
+      bill,
+    },
+  });
+});
 
-  // Update customer stats
-  await req.user.updateStats('billPaid');
-  await req.user.updateStats('amountPaid', bill.amount);
+// Credit notes issued against a bill, oldest first
+exports.getCreditNotes = catchAsync(async (req, res, next) => {
+  const bill = await Bill.findById(req.params.id);
 
-  // Update owner stats (could be organization or financer)
-  const owner = await User.findById(bill.currentOwner);
-  if (owner.role === 'organization') {
-    await owner.updateStats('revenueEarned', bill.amount);
-  } else if (owner.role === 'financer') {
-    const returnAmount = bill.amount - bill.financedAmount;
-    await owner.updateStats('returnsEarned', returnAmount);
+  if (!bill) {
+    return next(new AppError('No bill found with that ID', 404));
   }
 
+  if (!canViewBill(bill, req.user) && req.user.role !== 'admin') {
+    return next(
+      new AppError('You do not have permission to access this bill', 403),
+    );
+  }
+
+  const notes = await CreditNote.find({ bill: bill._id }).sort('createdAt');
+
   res.status(200).json({
     status: 'success',
+    results: notes.length,
     data: {
-      bill,
+      creditedAmount: bill.creditedAmount,
+      outstanding: bill.outstanding,
+      creditNotes: notes,
     },
   });
 });
@@ -249,12 +457,7 @@ exports.getBill = catchAsync(async (req, res, next) => {
   }
 
   // Check access permissions
-  const hasAccess =
-    bill.organization.toString() === req.user.id ||
-    bill.customer.toString() === req.user.id ||
-    (bill.financer && bill.financer.toString() === req.user.id);
-
-  if (!hasAccess) {
+  if (!canViewBill(bill, req.user)) {
     return next(
       new AppError('You do not have permission to access this bill', 403),
     );
@@ -264,23 +467,152 @@ exports.getBill = catchAsync(async (req, res, next) => {
   let bids = [];
   if (
     bill.isInMarketplace &&
-    (bill.organization.toString() === req.user.id ||
-      req.user.role === 'financer')
+    (isParty(bill.organization, req.user) || req.user.role === 'financer')
   ) {
-    bids = await Bid.find({ bill: bill._id })
-      .populate('financer', 'name email')
-      .sort('-financingPercentage');
+    const filter = { bill: bill._id };
+
+    // Sealed auctions keep bids secret from other financers until they close
+    if (
+      bill.auctionMode === 'sealed' &&
+      auction.isRunning(bill) &&
+      !isParty(bill.organization, req.user)
+    ) {
+      filter.financer = req.user._id;
+    }
+
+    bids = Bid.rank(
+      await Bid.find(filter).populate('financer', 'name email'),
+      bill,
+    );
   }
 
+  // Itemized totals; bills without line items are a single amount
+  const breakdown = {
+    lineItems: bill.lineItems,
+    subtotal: bill.subtotal ?? bill.amount,
+    discountTotal: bill.discountTotal || 0,
+    taxTotal: bill.taxTotal || 0,
+    total: bill.amount,
+  };
+
   res.status(200).json({
     status: 'success',
     data: {
       bill,
+      breakdown,
       bids,
     },
   });
 });
 
+// Download a bill as a printable PDF invoice (same access as getBill)
+exports.getBillPdf = catchAsync(async (req, res, next) => {
+  const bill = await Bill.findById(req.params.id).populate([
+    { path: 'organization', select: 'name email organizationDetails' },
+    { path: 'customer', select: 'name email customerDetails' },
+    { path: 'financer', select: 'name email financerDetails.companyName' },
+  ]);
+
+  if (!bill) {
+    return next(new AppError('No bill found with that ID', 404));
+  }
+
+  if (!canViewBill(bill, req.user)) {
+    return next(
+      new AppError('You do not have permission to access this bill', 403),
+    );
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `inline; filename="${bill.billNumber}.pdf"`,
+  );
+  renderBillPdf(bill, res);
+});
+
+// Get payment reminders sent for a bill (Organization owner or Customer)
+exports.getBillReminders = catchAsync(async (req, res, next) => {
+  const bill = await Bill.findById(req.params.id);
+
+  if (!bill) {
+    return next(new AppError('No bill found with that ID', 404));
+  }
+
+  const hasAccess =
+    bill.organization.toString() === req.user.id ||
+    bill.customer.toString() === req.user.id;
+
+  if (!hasAccess) {
+    return next(
+      new AppError('You do not have permission to access this bill', 403),
+    );
+  }
+
+  const reminders = await Reminder.find({ bill: bill._id }).sort('sentAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: reminders.length,
+    data: {
+      reminders,
+    },
+  });
+});
+
+// Lifecycle transitions the current user can take on a bill next
+exports.getBillTransitions = catchAsync(async (req, res, next) => {
+  const bill = await Bill.findById(req.params.id);
+
+  if (!bill) {
+    return next(new AppError('No bill found with that ID', 404));
+  }
+
+  if (!canViewBill(bill, req.user) && req.user.role !== 'admin') {
+    return next(
+      new AppError('You do not have permission to access this bill', 403),
+    );
+  }
+
+  const available = billLifecycle.availableTransitions(bill, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    results: available.length,
+    data: {
+      status: bill.status,
+      transitions: available,
+    },
+  });
+});
+
+// Take a lifecycle transition that has no endpoint of its own, such as
+// cancel or write_off, with an optional reason
+exports.transitionBill = catchAsync(async (req, res, next) => {
+  const { bill, from, rejectedBids } = await runInTransaction((session) =>
+    billLifecycle.transition(req.params.id, req.params.action, {
+      user: req.user,
+      reason: req.body.reason,
+      session,
+    }),
+  );
+
+  await marketEvents.billStatusChanged(bill, {
+    action: req.params.action,
+    from,
+    user: req.user,
+    rejectedBids,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      bill,
+    },
+  });
+});
+
 // Update bill (Organization only, draft bills only)
 exports.updateBill = catchAsync(async (req, res, next) => {
   const bill = await Bill.findById(req.params.id);
@@ -293,35 +625,31 @@ exports.updateBill = catchAsync(async (req, res, next) => {
     return next(new AppError('You can only update your own bills', 403));
   }
 
-  if (bill.status !== 'draft') {
-    return next(new AppError('Only draft bills can be updated', 400));
+  if (!transitions.isEditable(bill.status)) {
+    return next(
+      new AppError(
+        'Only draft bills can be updated, issue a credit note against sent bills instead',
+        400,
+      ),
+    );
   }
 
-  // Prevent updating certain fields
-  const allowedFields = [
-    'title',
-    'description',
-    'amount',
-    'dueDate',
-    'customer',
-  ];
-  const updateData = {};
+  if (req.body.lineItems !== undefined && !Array.isArray(req.body.lineItems)) {
+    return next(new AppError('Line items must be a list', 400));
+  }
 
-  Object.keys(req.body).forEach((key) => {
-    if (allowedFields.includes(key)) {
-      updateData[key] = req.body[key];
-    }
-  });
+  // Prevent updating certain fields
+  const updateData = filterBillFields(req.body);
 
-  const updatedBill = await Bill.findByIdAndUpdate(req.params.id, updateData, {
-    new: true,
-    runValidators: true,
-  });
+  // Save the document so totals are recomputed and the installment plan is
+  // validated against them
+  bill.set(updateData);
+  await bill.save();
 
   res.status(200).json({
     status: 'success',
     data: {
-      bill: updatedBill,
+      bill,
     },
   });
 });
@@ -338,8 +666,13 @@ exports.deleteBill = catchAsync(async (req, res, next) => {
     return next(new AppError('You can only delete your own bills', 403));
   }
 
-  if (bill.status !== 'draft') {
-    return next(new AppError('Only draft bills can be deleted', 400));
+  if (!transitions.isEditable(bill.status)) {
+    return next(
+      new AppError(
+        'Only draft bills can be deleted, void sent bills instead',
+        400,
+      ),
+    );
   }
 
   await Bill.findByIdAndDelete(req.params.id);
@@ -366,37 +699,32 @@ exports.getBillsStats = catchAsync(async (req, res, next) => {
       break;
   }
 
-  const stats = await Bill.aggregate([
-    { $match: matchStage },
-    {
-      $group: {
-        _id: '$status',
-        count: { $sum: 1 },
-        totalAmount: { $sum: '$amount' },
-      },
-    },
-  ]);
+  // Amounts are converted to the reporting currency
+  const currency = currencies.reportingCurrency(req);
+  const rates = await currencies.getRates();
 
-  const totalStats = await Bill.aggregate([
-    { $match: matchStage },
-    {
-      $group: {
-        _id: null,
-        totalBills: { $sum: 1 },
-        totalAmount: { $sum: '$amount' },
-        avgAmount: { $avg: '$amount' },
-      },
-    },
-  ]);
+  const stats = await currencies.statusTotals(
+    Bill,
+    matchStage,
+    '$amount',
+    currency,
+    rates,
+  );
+
+  const totalBills = stats.reduce((sum, el) => sum + el.count, 0);
+  const totalAmount = stats.reduce((sum, el) => sum + el.totalAmount, 0);
 
   res.status(200).json({
     status: 'success',
     data: {
+      currency,
       statusStats: stats,
-      totalStats: totalStats[0] || {
-        totalBills: 0,
-        totalAmount: 0,
-        avgAmount: 0,
+      totalStats: {
+        totalBills,
+        totalAmount: Math.round(totalAmount * 100) / 100,
+        avgAmount: totalBills
+          ? Math.round((totalAmount / totalBills) * 100) / 100
+          : 0,
       },
     },
   });
@@ -0,0 +1,161 @@
+const Bill = require('../models/billModel');
+const Dispute = require('../models/disputeModel');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const APIFeatures = require('../utils/apiFeatures');
+const runInTransaction = require('../utils/transaction');
+const disputes = require('../utils/disputes');
+const marketEvents = require('../utils/marketEvents');
+
+const partyFields = 'name email role';
+
+const findVisibleDispute = async (req) => {
+  const dispute = await Dispute.findById(req.params.id)
+    .populate('bill', 'billNumber title amount currency status dueDate')
+    .populate('customer organization financer', partyFields);
+
+  if (!dispute) {
+    throw new AppError('No dispute found with that ID', 404);
+  }
+  if (!dispute.isVisibleTo(req.user)) {
+    throw new AppError('You are not a party to this dispute', 403);
+  }
+  return dispute;
+};
+
+// Dispute a bill (Customer only). Body: billId, reason, and optionally
+// description and evidence ([{ url, description }]).
+exports.openDispute = catchAsync(async (req, res, next) => {
+  const { billId, reason, description, evidence } = req.body;
+
+  const { dispute, bill } = await runInTransaction((session) =>
+    disputes.open(billId, {
+      user: req.user,
+      reason,
+      description,
+      evidence,
+      session,
+    }),
+  );
+
+  await marketEvents.disputeOpened(dispute, bill);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      dispute,
+      bill,
+    },
+  });
+});
+
+// Disputes the current user is a party to, or all of them for admins,
+// newest first
+exports.getDisputes = catchAsync(async (req, res, next) => {
+  const filter =
+    req.user.role === 'admin'
+      ? {}
+      : {
+          $or: [
+            { customer: req.user._id },
+            { organization: req.user._id },
+            { financer: req.user._id },
+          ],
+        };
+
+  const features = new APIFeatures(Dispute.find(filter), req.query, {
+    filterFields: ['status', 'bill', 'resolution.outcome', 'createdAt'],
+    sortFields: ['createdAt', 'escalatedAt', 'resolution.resolvedAt'],
+  })
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate()
+    .populate('bill', 'billNumber title amount currency status');
+  const { docs, pagination } = await features.execute();
+
+  res.set('Link', APIFeatures.linkHeader(req, pagination));
+  res.status(200).json({
+    status: 'success',
+    results: docs.length,
+    pagination,
+    data: {
+      disputes: docs,
+    },
+  });
+});
+
+exports.getDispute = catchAsync(async (req, res, next) => {
+  const dispute = await findVisibleDispute(req);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      dispute,
+    },
+  });
+});
+
+// Add evidence to an unresolved dispute. Body: evidence ([{ url,
+// description }]).
+exports.addEvidence = catchAsync(async (req, res, next) => {
+  const dispute = await disputes.addEvidence(req.params.id, {
+    user: req.user,
+    evidence: req.body.evidence,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      dispute,
+    },
+  });
+});
+
+// Escalate an open dispute to the admins. Body: reason (optional).
+exports.escalateDispute = catchAsync(async (req, res, next) => {
+  const dispute = await disputes.escalate(req.params.id, {
+    user: req.user,
+    reason: req.body.reason,
+  });
+
+  const bill = await Bill.findById(dispute.bill);
+  await marketEvents.disputeEscalated(dispute, bill, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      dispute,
+    },
+  });
+});
+
+// Resolve a dispute (the bill's organization while it is open, admins once
+// escalated). Body: outcome (reject, adjust_amount or cancel_bill), amount
+// for adjust_amount, and an optional note.
+exports.resolveDispute = catchAsync(async (req, res, next) => {
+  const { outcome, amount, note } = req.body;
+
+  const { dispute, bill, rejectedBids } = await runInTransaction((session) =>
+    disputes.resolve(req.params.id, {
+      user: req.user,
+      outcome,
+      amount,
+      note,
+      session,
+    }),
+  );
+
+  await marketEvents.disputeResolved(dispute, bill, {
+    user: req.user,
+    rejectedBids,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      dispute,
+      bill,
+    },
+  });
+});
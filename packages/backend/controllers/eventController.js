@@ -0,0 +1,35 @@
+const eventBus = require('../utils/eventBus');
+
+// Comment line sent while idle so proxies keep the stream open
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Stream the real-time events the current user may see as Server-Sent
+// Events (see utils/marketEvents.js for what is sent to whom)
+exports.streamEvents = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  // Ask the browser to reconnect after 5 seconds if the stream drops. With a
+  // stream token that has expired by then it has to reopen the stream with a
+  // new one instead, see routes/eventRoutes.js.
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = eventBus.subscribe(req.user, (event) => {
+    res.write(
+      `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`,
+    );
+  });
+  const heartbeat = setInterval(
+    () => res.write(': heartbeat\n\n'),
+    HEARTBEAT_INTERVAL,
+  );
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
@@ -0,0 +1,42 @@
+const FxRate = require('../models/fxRateModel');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { PLATFORM_CURRENCY } = require('../utils/currency');
+
+// List the configured exchange rates, quoted in the platform currency
+exports.getRates = catchAsync(async (req, res, next) => {
+  const rates = await FxRate.find().sort('currency');
+
+  res.status(200).json({
+    status: 'success',
+    results: rates.length,
+    data: {
+      baseCurrency: PLATFORM_CURRENCY,
+      rates,
+    },
+  });
+});
+
+// Create or replace the rate of one currency (Admin only)
+exports.setRate = catchAsync(async (req, res, next) => {
+  const currency = req.params.currency.toUpperCase();
+
+  if (currency === PLATFORM_CURRENCY) {
+    return next(
+      new AppError('The platform currency always has a rate of 1', 400),
+    );
+  }
+
+  const rate = await FxRate.findOneAndUpdate(
+    { currency },
+    { currency, rate: req.body.rate, updatedBy: req.user._id },
+    { new: true, upsert: true, runValidators: true },
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      rate,
+    },
+  });
+});
@@ -19,9 +19,48 @@ exports.deleteOne = (Model) =>
     });
   });
 
-exports.updateOne = (Model) =>
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// The update for body without protectedFields (dotted paths). Objects that
+// contain a protected field are set path by path, so setting the object does
+// not overwrite the field, and update operators are dropped, so the field
+// cannot be reached through them either.
+const withoutProtectedFields = (body, protectedFields, prefix = '') => {
+  const update = {};
+  Object.keys(body).forEach((key) => {
+    const path = `${prefix}${key}`;
+    if (
+      key.startsWith('$') ||
+      protectedFields.some(
+        (field) => path === field || path.startsWith(`${field}.`),
+      )
+    ) {
+      return;
+    }
+
+    if (
+      isPlainObject(body[key]) &&
+      protectedFields.some((field) => field.startsWith(`${path}.`))
+    ) {
+      Object.assign(
+        update,
+        withoutProtectedFields(body[key], protectedFields, `${path}.`),
+      );
+    } else {
+      update[path] = body[key];
+    }
+  });
+  return update;
+};
+
+// protectedFields are never changed, whatever the request body holds
+exports.updateOne = (Model, { protectedFields } = {}) =>
   catchAsync(async (req, res, next) => {
-    const doc = await Model.findByIdAndUpdate(req.params.id, req.body, {
+    const update = protectedFields
+      ? withoutProtectedFields(req.body, protectedFields)
+      : req.body;
+    const doc = await Model.findByIdAndUpdate(req.params.id, update, {
       new: true,
       runValidators: true,
     });
@@ -67,22 +106,29 @@ exports.getOne = (Model, popOptions) =>
     });
   });
 
-exports.getAll = (Model) =>
+// options are passed on to APIFeatures (filterFields, sortFields, defaultSort)
+exports.getAll = (Model, options) =>
   catchAsync(async (req, res, next) => {
     let filter = {}; //so when we call this function for Tour Model this code will get implemented
     if (req.params.tourId) filter = { tour: req.params.tourId };
 
-    const features = new APIFeatures(Model.find(filter), req.query)
+    const { docs: doc, pagination } = await new APIFeatures(
+      Model.find(filter),
+      req.query,
+      options,
+    )
       .filter()
       .sort()
       .limitFields()
-      .pagination();
-    const doc = await features.query;
+      .paginate()
+      .execute();
 
     //SEND RESPONSE
+    res.set('Link', APIFeatures.linkHeader(req, pagination));
     res.status(200).json({
       status: 'success',
       results: doc.length,
+      pagination,
       data: {
         data: doc,
       },
@@ -0,0 +1,126 @@
+const Notification = require('../models/notificationModel');
+const User = require('../models/userModal');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const APIFeatures = require('../utils/apiFeatures');
+
+// Get the current user's notifications, newest first, with the number of
+// unread ones. ?unread=true leaves out the ones already read.
+exports.getMyNotifications = catchAsync(async (req, res, next) => {
+  const { unread, ...queryString } = req.query;
+  const filter = { user: req.user._id };
+  if (unread === 'true') filter.readAt = null;
+
+  const features = new APIFeatures(Notification.find(filter), queryString, {
+    filterFields: ['type', 'bill', 'bid', 'createdAt'],
+    sortFields: ['createdAt'],
+  })
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const [{ docs: notifications, pagination }, unreadCount] = await Promise.all([
+    features.execute(),
+    Notification.unreadCount(req.user._id),
+  ]);
+
+  res.set('Link', APIFeatures.linkHeader(req, pagination));
+  res.status(200).json({
+    status: 'success',
+    results: notifications.length,
+    unreadCount,
+    pagination,
+    data: {
+      notifications,
+    },
+  });
+});
+
+// Mark one of the current user's notifications as read
+exports.markRead = catchAsync(async (req, res, next) => {
+  const notification = await Notification.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!notification) {
+    return next(new AppError('No notification found with that ID', 404));
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.status(200).json({
+    status: 'success',
+    unreadCount: await Notification.unreadCount(req.user._id),
+    data: {
+      notification,
+    },
+  });
+});
+
+// Mark all of the current user's notifications as read
+exports.markAllRead = catchAsync(async (req, res, next) => {
+  const { modifiedCount } = await Notification.updateMany(
+    { user: req.user._id, readAt: null },
+    { readAt: new Date() },
+  );
+
+  res.status(200).json({
+    status: 'success',
+    unreadCount: 0,
+    data: {
+      marked: modifiedCount,
+    },
+  });
+});
+
+const preferencesResponse = (user) => ({
+  // Every notification type shows up in the app, these also go out by email
+  email: user.notificationPreferences.email,
+  types: Notification.TYPES,
+});
+
+// Get the current user's notification preferences
+exports.getPreferences = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      preferences: preferencesResponse(req.user),
+    },
+  });
+};
+
+// Choose which notification types are also sent by email. email is the full
+// list of types to email.
+exports.updatePreferences = catchAsync(async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!Array.isArray(email)) {
+    return next(
+      new AppError('email must be a list of notification types', 400),
+    );
+  }
+  const unknown = email.filter((type) => !Notification.TYPES.includes(type));
+  if (unknown.length) {
+    return next(
+      new AppError(`Unknown notification types: ${unknown.join(', ')}`, 400),
+    );
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user.id,
+    { 'notificationPreferences.email': [...new Set(email)] },
+    { new: true, runValidators: true },
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      preferences: preferencesResponse(user),
+    },
+  });
+});
@@ -1,10 +1,17 @@
 const User = require('../models/userModal');
 const Bill = require('../models/billModel');
 const Bid = require('../models/bidModel');
+const LedgerEntry = require('../models/ledgerEntryModel');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
+const APIFeatures = require('../utils/apiFeatures');
+const runInTransaction = require('../utils/transaction');
+const ledger = require('../utils/ledger');
+const currencies = require('../utils/currency');
 const factory = require('./handlerFactory');
 
+const { CURRENCIES, PLATFORM_CURRENCY } = currencies;
+
 const filterObj = (obj, ...allowedFields) => {
   const newObj = {};
   Object.keys(obj).forEach((el) => {
@@ -18,7 +25,10 @@ exports.getMe = (req, res, next) => {
   next();
 };
 
-exports.getAllUsers = factory.getAll(User);
+exports.getAllUsers = factory.getAll(User, {
+  filterFields: ['role', 'isVerified', 'email', 'name', 'createdAt'],
+  sortFields: ['createdAt', 'name', 'email', 'role'],
+});
 
 exports.updateMe = catchAsync(async (req, res, next) => {
   //1)Create error if user POSTs password data
@@ -63,7 +73,10 @@ exports.createUser = (req, res) => {
   });
 };
 
-exports.updateUser = factory.updateOne(User);
+// Balances only move through the ledger, not even an admin sets them
+exports.updateUser = factory.updateOne(User, {
+  protectedFields: User.BALANCE_FIELDS,
+});
 
 exports.deleteUser = factory.deleteOne(User);
 
@@ -72,13 +85,19 @@ exports.updateProfile = catchAsync(async (req, res, next) => {
   const { role } = req.user;
 
   // Filter allowed fields based on role
-  let allowedFields = ['name', 'photo'];
+  let allowedFields = ['name', 'photo', 'baseCurrency'];
   let roleSpecificData = {};
 
   switch (role) {
     case 'organization':
       if (req.body.organizationDetails) {
-        roleSpecificData.organizationDetails = req.body.organizationDetails;
+        // balances only move through the ledger
+        const { balance, currencyBalances, ...otherOrganizationDetails } =
+          req.body.organizationDetails;
+        Object.keys(otherOrganizationDetails).forEach((key) => {
+          roleSpecificData[`organizationDetails.${key}`] =
+            otherOrganizationDetails[key];
+        });
       }
       break;
     case 'customer':
@@ -88,10 +107,18 @@ exports.updateProfile = catchAsync(async (req, res, next) => {
       break;
     case 'financer':
       if (req.body.financerDetails) {
-        // Prevent updating availableFunds directly
-        const { availableFunds, ...otherFinancerDetails } =
-          req.body.financerDetails;
-        roleSpecificData.financerDetails = otherFinancerDetails;
+        // Prevent updating availableFunds/reservedFunds directly, and set the
+        // other fields path by path so the stored balances are left untouched
+        const {
+          availableFunds,
+          reservedFunds,
+          currencyBalances,
+          ...otherFinancerDetails
+        } = req.body.financerDetails;
+        Object.keys(otherFinancerDetails).forEach((key) => {
+          roleSpecificData[`financerDetails.${key}`] =
+            otherFinancerDetails[key];
+        });
       }
       break;
   }
@@ -129,6 +156,11 @@ exports.getDashboard = catchAsync(async (req, res, next) => {
     stats: req.user.stats || {},
   };
 
+  // Amounts in the stats below are converted to this currency
+  const currency = currencies.reportingCurrency(req);
+  const rates = await currencies.getRates();
+  dashboardData.currency = currency;
+
   switch (role) {
     case 'organization':
       // Get recent bills and their statuses
@@ -137,16 +169,13 @@ exports.getDashboard = catchAsync(async (req, res, next) => {
         .limit(10)
         .populate('customer financer', 'name email');
 
-      const orgBillStats = await Bill.aggregate([
-        { $match: { organization: req.user._id } },
-        {
-          $group: {
-            _id: '$status',
-            count: { $sum: 1 },
-            totalAmount: { $sum: '$amount' },
-          },
-        },
-      ]);
+      const orgBillStats = await currencies.statusTotals(
+        Bill,
+        { organization: req.user._id },
+        '$amount',
+        currency,
+        rates,
+      );
 
       // Get pending bids on organization's bills
       const pendingBids = await Bid.find({
@@ -177,21 +206,18 @@ exports.getDashboard = catchAsync(async (req, res, next) => {
           'name email organizationDetails.companyName',
         );
 
-      const customerBillStats = await Bill.aggregate([
-        { $match: { customer: req.user._id } },
-        {
-          $group: {
-            _id: '$status',
-            count: { $sum: 1 },
-            totalAmount: { $sum: '$amount' },
-          },
-        },
-      ]);
+      const customerBillStats = await currencies.statusTotals(
+        Bill,
+        { customer: req.user._id },
+        '$amount',
+        currency,
+        rates,
+      );
 
       // Get upcoming due bills
       const upcomingBills = await Bill.find({
         customer: userId,
-        status: { $in: ['sent', 'financed'] },
+        status: { $in: ['sent', 'partially_paid', 'financed'] },
         dueDate: {
           $gte: new Date(),
           $lte: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
@@ -214,32 +240,27 @@ exports.getDashboard = catchAsync(async (req, res, next) => {
         .populate('bill', 'billNumber title amount dueDate organization')
         .populate('bill.organization', 'name organizationDetails.companyName');
 
-      const bidStats = await Bid.aggregate([
-        { $match: { financer: req.user._id } },
-        {
-          $group: {
-            _id: '$status',
-            count: { $sum: 1 },
-            totalAmount: { $sum: '$bidAmount' },
-          },
-        },
-      ]);
+      const bidStats = await currencies.statusTotals(
+        Bid,
+        { financer: req.user._id },
+        '$bidAmount',
+        currency,
+        rates,
+      );
+
+      const funds = req.user.fundsByCurrency();
 
-      // Get active investments (accepted bids)
+      // Get active investments (accepted bids), including the ones now
+      // overdue
       const activeInvestments = await Bill.find({
         financer: userId,
-        status: 'financed',
+        status: { $in: ['financed', 'overdue'] },
       })
         .populate('organization customer', 'name email')
         .sort('-financedAt');
 
       // Get marketplace opportunities (sample)
-      const marketplaceOpportunities = await Bill.find({
-        isInMarketplace: true,
-        status: 'sent',
-        financer: { $exists: false },
-        dueDate: { $gt: new Date() },
-      })
+      const marketplaceOpportunities = await Bill.find(Bill.marketplaceFilter())
         .limit(5)
         .populate('organization', 'name organizationDetails.companyName')
         .sort('-amount');
@@ -251,6 +272,20 @@ exports.getDashboard = catchAsync(async (req, res, next) => {
         activeInvestments,
         marketplaceOpportunities,
         availableFunds: req.user.financerDetails?.availableFunds || 0,
+        reservedFunds: req.user.financerDetails?.reservedFunds || 0,
+        fundsByCurrency: funds,
+        totalAvailableFunds: Object.keys(funds).reduce(
+          (sum, el) =>
+            sum +
+            currencies.convert(funds[el].availableFunds, el, currency, rates),
+          0,
+        ),
+        totalReservedFunds: Object.keys(funds).reduce(
+          (sum, el) =>
+            sum +
+            currencies.convert(funds[el].reservedFunds, el, currency, rates),
+          0,
+        ),
       };
       break;
   }
@@ -357,6 +392,7 @@ exports.getUserStats = catchAsync(async (req, res, next) => {
         bidStats: bidStats[0] || {},
         investmentStats: investmentStats[0] || {},
         availableFunds: req.user.financerDetails?.availableFunds || 0,
+        reservedFunds: req.user.financerDetails?.reservedFunds || 0,
       };
       break;
   }
@@ -376,20 +412,93 @@ exports.addFunds = catchAsync(async (req, res, next) => {
     return next(new AppError('Only financers can add funds', 403));
   }
 
-  const { amount } = req.body;
+  // Whole cents, whether the amount came as a number or a string
+  const amount = ['number', 'string'].includes(typeof req.body.amount)
+    ? Math.round(Number(req.body.amount) * 100) / 100
+    : NaN;
+  const currency = String(req.body.currency || PLATFORM_CURRENCY).toUpperCase();
+
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return next(new AppError('Amount must be a positive number', 400));
+  }
 
-  if (!amount || amount <= 0) {
-    return next(new AppError('Amount must be positive', 400));
+  if (!CURRENCIES.includes(currency)) {
+    return next(new AppError(`Unsupported currency: ${currency}`, 400));
   }
 
   // In a real application, this would involve payment processing
-  req.user.financerDetails.availableFunds += amount;
-  await req.user.save({ validateBeforeSave: false });
+  await runInTransaction((session) =>
+    ledger.post(
+      {
+        type: 'deposit',
+        description: 'Funds added',
+        currency,
+        initiatedBy: req.user._id,
+        entries: [
+          { account: 'cash', direction: 'debit', amount },
+          {
+            user: req.user._id,
+            account: 'available',
+            direction: 'credit',
+            amount,
+          },
+        ],
+      },
+      session,
+    ),
+  );
+  const financer = await User.findById(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      currency,
+      ...financer.fundsByCurrency()[currency],
+    },
+  });
+});
+
+// Get ledger entries of the current user with running balances
+exports.getTransactions = catchAsync(async (req, res, next) => {
+  const filter = { user: req.user._id };
+
+  ['type', 'account', 'direction', 'bill', 'bid'].forEach((field) => {
+    if (req.query[field]) filter[field] = req.query[field];
+  });
+
+  if (req.query.from || req.query.to) {
+    filter.createdAt = {};
+    if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+    if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+  }
 
+  // Filters are taken from the query above, only paging is left to
+  // APIFeatures
+  const features = new APIFeatures(LedgerEntry.find(filter), {
+    sort: '-createdAt',
+    cursor: req.query.cursor,
+    page: req.query.page,
+    limit: req.query.limit,
+    count: req.query.count,
+  })
+    .sort()
+    .paginate()
+    .populate('transaction', 'description initiatedBy');
+
+  const [{ docs: entries, pagination }, balances] = await Promise.all([
+    features.execute(),
+    LedgerEntry.balancesFor(req.user._id),
+  ]);
+
+  res.set('Link', APIFeatures.linkHeader(req, pagination));
   res.status(200).json({
     status: 'success',
+    results: entries.length,
+    pagination,
     data: {
-      availableFunds: req.user.financerDetails.availableFunds,
+      // balanceAfter on each entry is the running balance of its account
+      entries,
+      balances,
     },
   });
 });
@@ -0,0 +1,199 @@
+const Webhook = require('../models/webhookModel');
+const WebhookDelivery = require('../models/webhookDeliveryModel');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const APIFeatures = require('../utils/apiFeatures');
+const webhooks = require('../utils/webhooks');
+
+const webhookFields = ['url', 'events', 'description', 'isActive'];
+
+const filterWebhookFields = (body) => {
+  const data = {};
+  Object.keys(body).forEach((key) => {
+    if (webhookFields.includes(key)) {
+      data[key] = body[key];
+    }
+  });
+  return data;
+};
+
+const findOwnWebhook = async (req, select) => {
+  const query = Webhook.findById(req.params.id);
+  if (select) query.select(select);
+  const webhook = await query;
+
+  if (!webhook) {
+    throw new AppError('No webhook found with that ID', 404);
+  }
+  if (webhook.user.toString() !== req.user.id) {
+    throw new AppError('You can only manage your own webhooks', 403);
+  }
+  return webhook;
+};
+
+const findDelivery = async (webhook, deliveryId) => {
+  const delivery = await WebhookDelivery.findOne({
+    _id: deliveryId,
+    webhook: webhook._id,
+  });
+
+  if (!delivery) {
+    throw new AppError('No delivery found with that ID', 404);
+  }
+  return delivery;
+};
+
+// Register a webhook endpoint. The response is the only time the signing
+// secret is shown.
+exports.createWebhook = catchAsync(async (req, res, next) => {
+  const webhook = await Webhook.create({
+    ...filterWebhookFields(req.body),
+    user: req.user.id,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      webhook,
+    },
+  });
+});
+
+// Get the current user's webhooks
+exports.getMyWebhooks = catchAsync(async (req, res, next) => {
+  const hooks = await Webhook.find({ user: req.user.id }).sort('createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: hooks.length,
+    data: {
+      webhooks: hooks,
+      events: Webhook.EVENTS,
+    },
+  });
+});
+
+exports.getWebhook = catchAsync(async (req, res, next) => {
+  const webhook = await findOwnWebhook(req);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      webhook,
+    },
+  });
+});
+
+exports.updateWebhook = catchAsync(async (req, res, next) => {
+  const webhook = await findOwnWebhook(req);
+
+  webhook.set(filterWebhookFields(req.body));
+  await webhook.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      webhook,
+    },
+  });
+});
+
+// Deliveries still pending for a deleted webhook fail on their next attempt
+exports.deleteWebhook = catchAsync(async (req, res, next) => {
+  const webhook = await findOwnWebhook(req);
+  await webhook.deleteOne();
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+// Replace the signing secret. Deliveries are signed with the new one from
+// now on, including retries of earlier events.
+exports.rotateSecret = catchAsync(async (req, res, next) => {
+  const webhook = await findOwnWebhook(req, '+secret');
+
+  webhook.rotateSecret();
+  await webhook.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      webhook,
+    },
+  });
+});
+
+// Send a test ping to the webhook and report how it went
+exports.pingWebhook = catchAsync(async (req, res, next) => {
+  const webhook = await findOwnWebhook(req);
+  const delivery = await webhooks.ping(webhook);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      delivery,
+    },
+  });
+});
+
+// Delivery log of a webhook, newest first
+exports.getDeliveries = catchAsync(async (req, res, next) => {
+  const webhook = await findOwnWebhook(req);
+
+  const features = new APIFeatures(
+    WebhookDelivery.find({ webhook: webhook._id }),
+    req.query,
+    {
+      filterFields: ['event', 'eventId', 'status', 'createdAt'],
+      sortFields: ['createdAt'],
+    },
+  )
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+  const { docs: deliveries, pagination } = await features.execute();
+
+  res.set('Link', APIFeatures.linkHeader(req, pagination));
+  res.status(200).json({
+    status: 'success',
+    results: deliveries.length,
+    pagination,
+    data: {
+      deliveries,
+    },
+  });
+});
+
+exports.getDelivery = catchAsync(async (req, res, next) => {
+  const webhook = await findOwnWebhook(req);
+  const delivery = await findDelivery(webhook, req.params.deliveryId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      delivery,
+    },
+  });
+});
+
+// Send the event of a delivery again, whatever became of it
+exports.redeliver = catchAsync(async (req, res, next) => {
+  const webhook = await findOwnWebhook(req);
+  const original = await findDelivery(webhook, req.params.deliveryId);
+
+  if (!webhook.isActive) {
+    return next(new AppError('Enable the webhook before redelivering', 400));
+  }
+
+  const delivery = await webhooks.redeliver(webhook, original);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      delivery,
+    },
+  });
+});
@@ -0,0 +1,31 @@
+const Bill = require('../models/billModel');
+const auction = require('../utils/auction');
+const inSeries = require('../utils/inSeries');
+const logger = require('../utils/logger');
+const marketEvents = require('../utils/marketEvents');
+const runInTransaction = require('../utils/transaction');
+
+const closeAuction = async (billId) => {
+  try {
+    const result = await runInTransaction((session) =>
+      auction.close(billId, session),
+    );
+    if (result) await marketEvents.auctionClosed(result);
+  } catch (err) {
+    logger.error(`Could not close auction of bill ${billId}:`, err);
+  }
+};
+
+// Close auctions whose window has passed and award each bill to its best
+// qualifying bid. One transaction per bill, so a failure only affects that
+// bill and it is retried on the next run.
+module.exports = async () => {
+  const billIds = await Bill.distinct('_id', {
+    status: 'sent',
+    financer: null,
+    auctionClosedAt: null,
+    auctionEndsAt: { $lte: new Date() },
+  });
+
+  await inSeries(billIds, closeAuction);
+};
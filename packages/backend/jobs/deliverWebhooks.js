@@ -0,0 +1,26 @@
+const WebhookDelivery = require('../models/webhookDeliveryModel');
+const inSeries = require('../utils/inSeries');
+const logger = require('../utils/logger');
+const webhooks = require('../utils/webhooks');
+
+// Deliveries retried per run, oldest due first
+const BATCH_SIZE = 100;
+
+// Retry webhook deliveries whose backoff has passed. Also picks up
+// deliveries whose first attempt never ran, e.g. because the process
+// stopped right after the event.
+module.exports = async () => {
+  const due = await WebhookDelivery.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() },
+  })
+    .sort('nextAttemptAt')
+    .limit(BATCH_SIZE)
+    .select('_id');
+
+  await inSeries(due, ({ _id }) =>
+    webhooks.deliver(_id).catch((err) => {
+      logger.error(`Could not deliver webhook ${_id}:`, err);
+    }),
+  );
+};
@@ -0,0 +1,32 @@
+const Bid = require('../models/bidModel');
+const funds = require('../utils/funds');
+const inSeries = require('../utils/inSeries');
+const logger = require('../utils/logger');
+const marketEvents = require('../utils/marketEvents');
+const runInTransaction = require('../utils/transaction');
+
+const expireFinancerBids = async (financerId) => {
+  try {
+    const expiredBidIds = await runInTransaction((session) =>
+      funds.expireBids({ financer: financerId }, session),
+    );
+
+    if (expiredBidIds.length) {
+      await marketEvents.bidsExpired(financerId, expiredBidIds);
+    }
+  } catch (err) {
+    logger.error(`Could not expire bids of financer ${financerId}:`, err);
+  }
+};
+
+// Mark lapsed pending bids as expired, release their funds holds and let each
+// financer know. Runs one transaction per financer so a failure only affects
+// that financer's bids, which are retried on the next run.
+module.exports = async () => {
+  const financerIds = await Bid.distinct('financer', {
+    status: 'pending',
+    expiresAt: { $lte: new Date() },
+  });
+
+  await inSeries(financerIds, expireFinancerBids);
+};
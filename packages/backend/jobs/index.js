@@ -0,0 +1,35 @@
+const closeAuctions = require('./closeAuctions');
+const deliverWebhooks = require('./deliverWebhooks');
+const expireBids = require('./expireBids');
+const markOverdueBills = require('./markOverdueBills');
+const sendPaymentReminders = require('./sendPaymentReminders');
+
+// Background jobs started by server.js through utils/scheduler.js. Intervals
+// can be tuned per environment in config.env.
+module.exports = [
+  {
+    name: 'expireBids',
+    interval: Number(process.env.BID_EXPIRY_INTERVAL_MS) || 60 * 1000,
+    run: expireBids,
+  },
+  {
+    name: 'closeAuctions',
+    interval: Number(process.env.AUCTION_CLOSE_INTERVAL_MS) || 30 * 1000,
+    run: closeAuctions,
+  },
+  {
+    name: 'markOverdueBills',
+    interval: Number(process.env.OVERDUE_SWEEP_INTERVAL_MS) || 15 * 60 * 1000,
+    run: markOverdueBills,
+  },
+  {
+    name: 'sendPaymentReminders',
+    interval: Number(process.env.REMINDER_INTERVAL_MS) || 60 * 60 * 1000,
+    run: sendPaymentReminders,
+  },
+  {
+    name: 'deliverWebhooks',
+    interval: Number(process.env.WEBHOOK_RETRY_INTERVAL_MS) || 15 * 1000,
+    run: deliverWebhooks,
+  },
+];
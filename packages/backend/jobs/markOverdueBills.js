@@ -0,0 +1,52 @@
+const Bill = require('../models/billModel');
+const billLifecycle = require('../utils/billLifecycle');
+const financing = require('../utils/financing');
+const inSeries = require('../utils/inSeries');
+const logger = require('../utils/logger');
+const marketEvents = require('../utils/marketEvents');
+const transitions = require('../utils/billTransitions');
+const runInTransaction = require('../utils/transaction');
+
+const markOverdue = transitions.findTransition('mark_overdue');
+
+// Flip one bill to overdue and reject its pending bids, which would otherwise
+// keep their funds held until they expire. Resolves with whether the bill
+// was still due to be marked.
+const markBillOverdue = async (billId) => {
+  try {
+    const result = await runInTransaction(async (session) => {
+      const bill = await Bill.findById(billId).session(session);
+      // Paid or otherwise moved on in the meantime
+      if (!bill || !markOverdue.from.includes(bill.status)) return null;
+      if (markOverdue.guard(bill)) return null;
+
+      const overdueBill = await billLifecycle.apply(bill, markOverdue.to, {
+        session,
+      });
+      const rejectedBids = await financing.rejectPendingBids(bill._id, session);
+      return { bill: overdueBill, rejectedBids };
+    });
+    if (!result) return false;
+
+    await marketEvents.billOverdue(result.bill, result.rejectedBids);
+    return true;
+  } catch (err) {
+    logger.error(`Could not mark bill ${billId} overdue:`, err);
+    return false;
+  }
+};
+
+// Flip bills whose due date has passed to overdue, from the statuses the
+// mark_overdue transition allows (sent, partially paid and financed).
+// Without the sweep overdue bills keep showing up as sent. One transaction
+// per bill, so a failure only affects that bill and it is retried on the
+// next run.
+module.exports = async () => {
+  const billIds = await Bill.distinct('_id', {
+    status: { $in: markOverdue.from },
+    dueDate: { $lt: new Date() },
+  });
+
+  const marked = await inSeries(billIds, markBillOverdue);
+  return marked.filter(Boolean).length;
+};
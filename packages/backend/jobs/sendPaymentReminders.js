@@ -0,0 +1,110 @@
+const Bill = require('../models/billModel');
+const Reminder = require('../models/reminderModel');
+const sendEmail = require('../utils/email');
+const inSeries = require('../utils/inSeries');
+const logger = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_OFFSETS = [-7, 0, 7, 14, 30];
+// Earliest and latest reminders an organization can configure, see
+// userModal.js
+const MAX_DAYS_BEFORE_DUE = 30;
+const MAX_DAYS_AFTER_DUE = 90;
+// How long a reminder that came due is still sent, e.g. after the job was down
+const GRACE_DAYS = 7;
+
+const describeDue = (offsetDays, dueDate) => {
+  const date = dueDate.toDateString();
+  if (offsetDays < 0) return `is due in ${-offsetDays} days, on ${date}`;
+  if (offsetDays === 0) return `is due today, ${date}`;
+  return `was due on ${date} and is now ${offsetDays} days overdue`;
+};
+
+const sendReminder = async (bill, offsetDays) => {
+  const companyName =
+    bill.organization.organizationDetails?.companyName ||
+    bill.organization.name;
+  const subject = `Payment reminder: bill ${bill.billNumber} from ${companyName}`;
+
+  // Claim the reminder first so it can never be sent twice, and give the
+  // claim back if the email fails so the next run retries it
+  const reminder = await Reminder.create({
+    bill: bill._id,
+    organization: bill.organization._id,
+    customer: bill.customer._id,
+    offsetDays,
+    email: bill.customer.email,
+    subject,
+  });
+
+  try {
+    await sendEmail({
+      email: bill.customer.email,
+      subject,
+      message: `Hi ${bill.customer.name},\n\nBill ${bill.billNumber} (${bill.title}) with ${bill.outstanding} outstanding ${describeDue(offsetDays, bill.dueDate)}.\nPlease log in to pay it.\n\n${companyName}`,
+    });
+  } catch (err) {
+    await Reminder.findByIdAndDelete(reminder._id);
+    throw err;
+  }
+};
+
+// Latest reminder of the organization's schedule that has come due, if any
+const dueReminderOffset = (bill, now) => {
+  const offsets =
+    bill.organization.organizationDetails?.reminderOffsets || DEFAULT_OFFSETS;
+  const dueOffsets = offsets.filter(
+    (offset) => bill.dueDate.getTime() + offset * DAY <= now,
+  );
+
+  return dueOffsets.length ? Math.max(...dueOffsets) : null;
+};
+
+// Send the reminder that has come due for bill, if it was not sent yet.
+// Resolves with whether an email went out.
+const remind = async (bill, now) => {
+  const offsetDays =
+    bill.organization && bill.customer ? dueReminderOffset(bill, now) : null;
+  if (
+    offsetDays === null ||
+    (await Reminder.exists({
+      bill: bill._id,
+      offsetDays: { $gte: offsetDays },
+    }))
+  ) {
+    return false;
+  }
+
+  try {
+    await sendReminder(bill, offsetDays);
+    return true;
+  } catch (err) {
+    logger.error(`Could not send reminder for bill ${bill.billNumber}:`, err);
+    return false;
+  }
+};
+
+// Email customers about unpaid bills following each organization's reminder
+// schedule. Only the latest reminder that has come due is sent, so a bill
+// that missed earlier ones (e.g. the job was down) gets a single email.
+module.exports = async () => {
+  const now = Date.now();
+
+  // Bills further past due have had their last reminder
+  const bills = await Bill.find({
+    status: { $in: ['sent', 'partially_paid', 'overdue', 'financed'] },
+    dueDate: {
+      $lte: new Date(now + MAX_DAYS_BEFORE_DUE * DAY),
+      $gte: new Date(now - (MAX_DAYS_AFTER_DUE + GRACE_DAYS) * DAY),
+    },
+  })
+    .populate(
+      'organization',
+      'name organizationDetails.companyName organizationDetails.reminderOffsets',
+    )
+    .populate('customer', 'name email');
+
+  // One email after the other, so the mail server is not flooded
+  const sent = await inSeries(bills, (bill) => remind(bill, now));
+  return sent.filter(Boolean).length;
+};
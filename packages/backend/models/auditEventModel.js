@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const immutable = require('../utils/immutable');
+
+// Entities whose changes are audited (see the audited plugin in
+// utils/audit.js)
+const ENTITY_TYPES = ['Bill', 'Bid', 'Hold', 'User'];
+
+// What happened to the entity. status_changed and funds_changed are updates
+// that changed its status or only moved its balances.
+const ACTIONS = [
+  'created',
+  'updated',
+  'status_changed',
+  'funds_changed',
+  'deleted',
+];
+
+// One change to a bill, bid, funds hold or user: who made it, from where,
+// and the old and new value of every field it touched. Audit events can
+// never be changed or removed.
+const auditEventSchema = new mongoose.Schema(
+  {
+    // Missing for changes made by the system, e.g. background jobs
+    actor: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Role of the actor, or 'system'
+    actorRole: {
+      type: String,
+      required: [true, 'Actor role is required'],
+    },
+    // Background job that made the change
+    job: String,
+    ip: String,
+    requestId: String,
+    method: String,
+    path: String,
+    entityType: {
+      type: String,
+      enum: ENTITY_TYPES,
+      required: [true, 'Entity type is required'],
+    },
+    entity: {
+      type: mongoose.Schema.ObjectId,
+      refPath: 'entityType',
+      required: [true, 'Entity reference is required'],
+    },
+    action: {
+      type: String,
+      enum: ACTIONS,
+      required: [true, 'Action is required'],
+    },
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+auditEventSchema.index({ entityType: 1, entity: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ createdAt: -1 });
+
+auditEventSchema.plugin(immutable, {
+  message: 'Audit events cannot be modified',
+});
+
+auditEventSchema.statics.ENTITY_TYPES = ENTITY_TYPES;
+auditEventSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('../utils/currency');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A financer's standing instruction to bid on matching bills as soon as they
+// are sent to the marketplace, see utils/autoBidding.js
+const autoBidRuleSchema = new mongoose.Schema(
+  {
+    financer: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Financer reference is required'],
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Rule name cannot exceed 100 characters'],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Which bills the rule bids on. Unset criteria match any bill.
+    minAmount: {
+      type: Number,
+      min: [0, 'Minimum amount cannot be negative'],
+    },
+    maxAmount: {
+      type: Number,
+      min: [0, 'Maximum amount cannot be negative'],
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      enum: { values: CURRENCIES, message: 'Unsupported currency: {VALUE}' },
+    },
+    // Matched against the organization's business type
+    sectors: [String],
+    maxDaysToDue: {
+      type: Number,
+      min: [1, 'Maximum days to due must be at least 1'],
+    },
+
+    // The bid it places
+    financingPercentage: {
+      type: Number,
+      required: [true, 'Financing percentage is required'],
+      min: [1, 'Financing percentage must be at least 1%'],
+      max: [95, 'Financing percentage cannot exceed 95%'],
+    },
+    interest: {
+      type: Number,
+      default: 0,
+      min: [0, 'Interest cannot be negative'],
+    },
+    terms: {
+      type: String,
+      maxlength: [500, 'Terms cannot exceed 500 characters'],
+    },
+    // Most the rule may bid in total per calendar day (UTC), in each currency
+    dailyBudget: {
+      type: Number,
+      min: [0, 'Daily budget cannot be negative'],
+    },
+
+    // What happened the last time the rule matched a bill
+    timesFired: {
+      type: Number,
+      default: 0,
+    },
+    lastFiredAt: Date,
+    lastResult: {
+      bill: { type: mongoose.Schema.ObjectId, ref: 'Bill' },
+      bid: { type: mongoose.Schema.ObjectId, ref: 'Bid' },
+      status: { type: String, enum: ['placed', 'skipped', 'failed'] },
+      reason: String,
+      at: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+autoBidRuleSchema.index({ isActive: 1, createdAt: 1 });
+autoBidRuleSchema.index({ financer: 1 });
+
+autoBidRuleSchema.pre('validate', function (next) {
+  if (
+    this.minAmount != null &&
+    this.maxAmount != null &&
+    this.minAmount > this.maxAmount
+  ) {
+    this.invalidate(
+      'maxAmount',
+      'Maximum amount must not be below the minimum amount',
+    );
+  }
+  next();
+});
+
+// Why the rule does not apply to a bill of an organization in sector, or
+// null if it does
+autoBidRuleSchema.methods.mismatch = function (bill, sector) {
+  if (this.minAmount != null && bill.amount < this.minAmount) {
+    return 'Bill amount is below the minimum';
+  }
+  if (this.maxAmount != null && bill.amount > this.maxAmount) {
+    return 'Bill amount is above the maximum';
+  }
+  if (this.currency && this.currency !== bill.currency) {
+    return 'Bill is in another currency';
+  }
+  if (
+    this.sectors &&
+    this.sectors.length &&
+    !this.sectors.some(
+      (el) => sector && el.toLowerCase() === sector.toLowerCase(),
+    )
+  ) {
+    return 'Organization is not in one of the sectors';
+  }
+  if (
+    this.maxDaysToDue != null &&
+    bill.dueDate.getTime() - Date.now() > this.maxDaysToDue * DAY
+  ) {
+    return 'Bill is due too far out';
+  }
+  return null;
+};
+
+// Total the rule has bid in currency since the start of the day (UTC)
+autoBidRuleSchema.methods.spentToday = async function (currency, session) {
+  const startOfDay = new Date();
+  startOfDay.setUTCHours(0, 0, 0, 0);
+
+  const [result] = await mongoose
+    .model('Bid')
+    .aggregate([
+      {
+        $match: {
+          autoBidRule: this._id,
+          currency,
+          createdAt: { $gte: startOfDay },
+        },
+      },
+      { $group: { _id: null, total: { $sum: '$bidAmount' } } },
+    ])
+    .session(session || null);
+  return result ? result.total : 0;
+};
+
+module.exports = mongoose.model('AutoBidRule', autoBidRuleSchema);
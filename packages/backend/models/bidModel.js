@@ -1,4 +1,108 @@
 const mongoose = require('mongoose');
+const { CURRENCIES, PLATFORM_CURRENCY } = require('../utils/currency');
+const { audited } = require('../utils/audit');
+
+const DAY = 24 * 60 * 60 * 1000;
+const round = (value) => Math.round(value * 100) / 100;
+
+// What bids are a percentage of: the bill amount less any credit notes. Also
+// works on plain bills, which lack the netAmount virtual.
+const netAmount = (bill) =>
+  bill.netAmount ?? round(bill.amount - (bill.creditedAmount || 0));
+
+// What a bid costs the organization of a bill: the advance it pays out now,
+// the financer's return taken out of the customer's payment, and that return
+// annualized over the days until the bill is due. The platform fee is the
+// same for every bid on a bill, so it is left out.
+const effectiveCost = (bid, bill) => {
+  const advance =
+    bid.bidAmount ?? round((netAmount(bill) * bid.financingPercentage) / 100);
+  const financingCost = round((advance * (bid.interest || 0)) / 100);
+  const days = Math.max(
+    1,
+    Math.ceil((new Date(bill.dueDate).getTime() - Date.now()) / DAY),
+  );
+
+  return {
+    advance,
+    financingCost,
+    days,
+    apr: advance ? round(((financingCost / advance) * 365 * 100) / days) : 0,
+  };
+};
+
+// Order bids on one bill best first: lowest interest, then larger advance,
+// then whoever bid first. Every bid on a bill runs until the same due date,
+// so ranking them by annualized cost would come down to their interest.
+const compareBids = (a, b, bill) => {
+  const costA = effectiveCost(a, bill);
+  const costB = effectiveCost(b, bill);
+
+  return (
+    (a.interest || 0) - (b.interest || 0) ||
+    costB.advance - costA.advance ||
+    (a.createdAt || 0) - (b.createdAt || 0)
+  );
+};
+
+// One round of negotiation on a bid: the terms one side proposes and what
+// became of them. Only the latest offer can be open, see
+// utils/negotiation.js.
+const counterOfferSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: ['organization', 'financer'],
+      required: true,
+    },
+    by: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    financingPercentage: {
+      type: Number,
+      required: [true, 'Financing percentage is required'],
+      min: [1, 'Financing percentage must be at least 1%'],
+      max: [95, 'Financing percentage cannot exceed 95%'],
+    },
+    interest: {
+      type: Number,
+      default: 0,
+      min: [0, 'Interest cannot be negative'],
+    },
+    terms: {
+      type: String,
+      maxlength: [500, 'Terms cannot exceed 500 characters'],
+    },
+    message: {
+      type: String,
+      maxlength: [1000, 'Message cannot exceed 1000 characters'],
+    },
+    status: {
+      type: String,
+      enum: ['open', 'accepted', 'rejected', 'countered', 'expired'],
+      default: 'open',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: Date,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// Open offers past their expiry count as expired until the next round
+// writes it down
+counterOfferSchema.virtual('state').get(function () {
+  if (this.status === 'open' && this.expiresAt <= new Date()) return 'expired';
+  return this.status;
+});
 
 const bidSchema = new mongoose.Schema(
   {
@@ -23,6 +127,13 @@ const bidSchema = new mongoose.Schema(
       required: [true, 'Bid amount is required'],
       min: [0, 'Bid amount must be positive'],
     },
+    // Always the currency of the bill
+    currency: {
+      type: String,
+      uppercase: true,
+      enum: { values: CURRENCIES, message: 'Unsupported currency: {VALUE}' },
+      default: PLATFORM_CURRENCY,
+    },
     status: {
       type: String,
       enum: ['pending', 'accepted', 'rejected', 'expired'],
@@ -47,6 +158,15 @@ const bidSchema = new mongoose.Schema(
       type: String,
       maxlength: [500, 'Terms cannot exceed 500 characters'],
     },
+
+    // Rule that placed the bid automatically, see models/autoBidRuleModel.js
+    autoBidRule: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'AutoBidRule',
+    },
+
+    // Negotiation thread between the organization and the financer
+    counterOffers: [counterOfferSchema],
   },
   {
     timestamps: true,
@@ -59,19 +179,37 @@ const bidSchema = new mongoose.Schema(
 bidSchema.index({ bill: 1, financer: 1 }, { unique: true });
 bidSchema.index({ bill: 1, financingPercentage: -1 }); // For finding highest bids
 bidSchema.index({ financer: 1, status: 1 });
+bidSchema.index({ autoBidRule: 1, createdAt: -1 });
 
 // Virtual for net amount financer will receive
 bidSchema.virtual('netAmount').get(function () {
   return this.bidAmount * (1 - this.interest / 100);
 });
 
+// Virtual for the offer awaiting a response, if any
+bidSchema.virtual('openCounterOffer').get(function () {
+  const last =
+    this.counterOffers && this.counterOffers[this.counterOffers.length - 1];
+  return last && last.state === 'open' ? last : null;
+});
+
+// Virtual for the effective cost of the bid, see effectiveCost above. Needs
+// the bill, either populated or attached with Bid.rank.
+bidSchema.virtual('effectiveCost').get(function () {
+  const bill = this.populated('bill') ? this.bill : this.$locals.bill;
+  if (!bill || !bill.dueDate || bill.amount == null) return undefined;
+
+  return effectiveCost(this, bill);
+});
+
 // Pre-save middleware to calculate bid amount
 bidSchema.pre('save', async function (next) {
   if (this.isNew || this.isModified('financingPercentage')) {
     const Bill = mongoose.model('Bill');
-    const bill = await Bill.findById(this.bill);
+    const bill = await Bill.findById(this.bill).session(this.$session());
     if (bill) {
-      this.bidAmount = (bill.amount * this.financingPercentage) / 100;
+      this.bidAmount = (bill.netAmount * this.financingPercentage) / 100;
+      this.currency = bill.currency || PLATFORM_CURRENCY;
     }
   }
   next();
@@ -87,13 +225,25 @@ bidSchema.pre('save', function (next) {
   next();
 });
 
-// Static method to find highest bid for a bill
-bidSchema.statics.findHighestBid = function (billId) {
-  return this.findOne({
-    bill: billId,
-    status: 'pending',
-    expiresAt: { $gt: new Date() },
-  }).sort({ financingPercentage: -1 });
+bidSchema.statics.effectiveCost = effectiveCost;
+bidSchema.statics.compareBids = compareBids;
+
+// Static method to sort bids on a bill best first. Attaches the bill so the
+// effectiveCost virtual is available on each bid.
+bidSchema.statics.rank = function (bids, bill) {
+  bids.forEach((bid) => {
+    if (bid.$locals) bid.$locals.bill = bill;
+  });
+  return bids.sort((a, b) => compareBids(a, b, bill));
+};
+
+// Static method to find the best (lowest effective cost) bid for a bill
+bidSchema.statics.findHighestBid = async function (billId) {
+  const bill = await mongoose.model('Bill').findById(billId);
+  if (!bill) return null;
+
+  const bids = await this.getActiveBids(billId);
+  return this.rank(bids, bill)[0] || null;
 };
 
 // Static method to get active bids for a bill
@@ -105,4 +255,6 @@ bidSchema.statics.getActiveBids = function (billId) {
   }).sort({ financingPercentage: -1 });
 };
 
+bidSchema.plugin(audited, { entityType: 'Bid' });
+
 module.exports = mongoose.model('Bid', bidSchema);
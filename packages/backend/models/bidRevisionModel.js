@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const immutable = require('../utils/immutable');
+
+// Bid fields whose changes are recorded
+const TRACKED_FIELDS = [
+  'financingPercentage',
+  'bidAmount',
+  'interest',
+  'terms',
+];
+
+// One change to a bid: who made it, when, and the old and new value of each
+// field it touched. Revisions are never changed after they have been written,
+// so the history of an offer can always be reconstructed.
+const bidRevisionSchema = new mongoose.Schema(
+  {
+    bid: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Bid',
+      required: [true, 'Bid reference is required'],
+    },
+    bill: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Bill',
+      required: [true, 'Bill reference is required'],
+    },
+    financer: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Financer reference is required'],
+    },
+    changedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    revision: {
+      type: Number,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ['placed', 'updated', 'cancelled'],
+      required: [true, 'Revision action is required'],
+    },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+bidRevisionSchema.index({ bid: 1, revision: 1 }, { unique: true });
+
+bidRevisionSchema.plugin(immutable, {
+  message: 'Bid revisions cannot be modified',
+});
+
+// Record a revision of bid, diffing its tracked fields against before (a
+// plain object of the previous values, or null for a new bid). Nothing is
+// written for an update that changed none of them. A cancellation records
+// the bid's last status.
+bidRevisionSchema.statics.record = async function (
+  bid,
+  { action, changedBy, before = null },
+  session,
+) {
+  let changes = TRACKED_FIELDS.map((field) => ({
+    field,
+    from: before ? before[field] : undefined,
+    to: bid[field],
+  })).filter((change) => change.from !== change.to);
+
+  if (action === 'cancelled') {
+    changes = [{ field: 'status', from: bid.status, to: 'cancelled' }];
+  }
+  if (action === 'updated' && !changes.length) return null;
+
+  const revision =
+    (await this.countDocuments({ bid: bid._id }).session(session)) + 1;
+
+  const [doc] = await this.create(
+    [
+      {
+        bid: bid._id,
+        bill: bid.bill,
+        financer: bid.financer,
+        changedBy,
+        revision,
+        action,
+        changes,
+      },
+    ],
+    { session },
+  );
+
+  return doc;
+};
+
+module.exports = mongoose.model('BidRevision', bidRevisionSchema);
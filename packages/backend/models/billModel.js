@@ -1,4 +1,92 @@
 const mongoose = require('mongoose');
+const { CURRENCIES, PLATFORM_CURRENCY } = require('../utils/currency');
+const { audited } = require('../utils/audit');
+const AppError = require('../utils/appError');
+const transitions = require('../utils/billTransitions');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const paymentSchema = new mongoose.Schema(
+  {
+    amount: {
+      type: Number,
+      required: [true, 'Payment amount is required'],
+      min: [0.01, 'Payment amount must be positive'],
+    },
+    paidAt: {
+      type: Date,
+      default: Date.now,
+    },
+    method: {
+      type: String,
+      enum: ['bank_transfer', 'card', 'cash', 'cheque', 'other'],
+      default: 'bank_transfer',
+    },
+    reference: String,
+    // How this payment was split, see utils/settlement.js
+    settlement: {
+      financerAmount: Number,
+      platformFee: Number,
+      organizationAmount: Number,
+    },
+  },
+  { _id: true },
+);
+
+const installmentSchema = new mongoose.Schema(
+  {
+    dueDate: {
+      type: Date,
+      required: [true, 'Installment due date is required'],
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Installment amount is required'],
+      min: [0.01, 'Installment amount must be positive'],
+    },
+  },
+  { _id: false },
+);
+
+const lineItemSchema = new mongoose.Schema(
+  {
+    description: {
+      type: String,
+      required: [true, 'Line item description is required'],
+      maxlength: [200, 'Line item description cannot exceed 200 characters'],
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'Line item quantity is required'],
+      min: [0.01, 'Quantity must be positive'],
+    },
+    unitPrice: {
+      type: Number,
+      required: [true, 'Line item unit price is required'],
+      min: [0, 'Unit price cannot be negative'],
+    },
+    // Percentages of the line amount
+    taxRate: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax rate cannot be negative'],
+      max: [100, 'Tax rate cannot exceed 100%'],
+    },
+    discountRate: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative'],
+      max: [100, 'Discount cannot exceed 100%'],
+    },
+
+    // Computed by the server, see the pre-validate hook below
+    subtotal: Number,
+    discountAmount: Number,
+    taxAmount: Number,
+    total: Number,
+  },
+  { _id: true },
+);
 
 const billSchema = new mongoose.Schema(
   {
@@ -20,6 +108,19 @@ const billSchema = new mongoose.Schema(
       required: [true, 'Bill amount is required'],
       min: [0, 'Amount must be positive'],
     },
+    currency: {
+      type: String,
+      uppercase: true,
+      enum: { values: CURRENCIES, message: 'Unsupported currency: {VALUE}' },
+      default: PLATFORM_CURRENCY,
+    },
+
+    // Itemization. When present, the totals below and amount are computed
+    // from it by the server.
+    lineItems: [lineItemSchema],
+    subtotal: Number,
+    discountTotal: Number,
+    taxTotal: Number,
     dueDate: {
       type: Date,
       required: [true, 'Due date is required'],
@@ -30,16 +131,43 @@ const billSchema = new mongoose.Schema(
         message: 'Due date must be in the future',
       },
     },
+    // See utils/billTransitions.js for how a bill moves between these
     status: {
       type: String,
-      enum: ['draft', 'sent', 'paid', 'overdue', 'financed'],
+      enum: transitions.STATUSES,
       default: 'draft',
     },
+    // Why the bill was last cancelled, voided, disputed, defaulted or written
+    // off
+    statusReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    // Status to return to when a dispute is resolved
+    statusBeforeDispute: {
+      type: String,
+      enum: transitions.STATUSES,
+      default: null,
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
 
+    // Customer payments, possibly in several tranches
+    payments: [paymentSchema],
+    // Total of the credit notes issued against the bill, which the customer
+    // no longer owes (see models/creditNoteModel.js)
+    creditedAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Credited amount cannot be negative'],
+    },
+    // Optional installment plan set by the organization; amounts must add up
+    // to the bill amount
+    installments: [installmentSchema],
+
     // References
     organization: {
       type: mongoose.Schema.ObjectId,
@@ -76,11 +204,59 @@ const billSchema = new mongoose.Schema(
       ref: 'User',
       default: null,
     },
+    // Interest of the accepted bid
+    financingInterest: Number,
+
+    // Timed auction, see utils/auction.js. Bills without auctionEndsAt have
+    // their bids accepted by hand; bills with one are awarded to the best
+    // qualifying bid when it closes.
+    auctionEndsAt: Date,
+    auctionMode: {
+      type: String,
+      enum: ['open', 'sealed'],
+      default: 'open',
+    },
+    // Bids outside these terms are never awarded
+    reserveTerms: {
+      minFinancingPercentage: {
+        type: Number,
+        min: [1, 'Minimum financing percentage must be at least 1%'],
+        max: [95, 'Minimum financing percentage cannot exceed 95%'],
+      },
+      maxInterest: {
+        type: Number,
+        min: [0, 'Maximum interest cannot be negative'],
+      },
+    },
+    auctionExtensions: {
+      type: Number,
+      default: 0,
+    },
+    auctionLastBidAt: Date,
+    auctionClosedAt: Date,
+    auctionOutcome: {
+      type: String,
+      enum: ['awarded', 'unawarded'],
+    },
+
+    // Running totals of how customer payments were split between the
+    // financer, the platform and the organization, see utils/settlement.js
+    settlement: {
+      financerAmount: { type: Number, default: 0 },
+      platformFee: { type: Number, default: 0 },
+      organizationAmount: { type: Number, default: 0 },
+    },
 
     // Timestamps
     sentAt: Date,
     paidAt: Date,
     financedAt: Date,
+    disputedAt: Date,
+    cancelledAt: Date,
+    creditedAt: Date,
+    voidedAt: Date,
+    defaultedAt: Date,
+    writtenOffAt: Date,
   },
   {
     timestamps: true,
@@ -94,6 +270,18 @@ billSchema.index({ organization: 1, status: 1 });
 billSchema.index({ customer: 1, status: 1 });
 billSchema.index({ financer: 1 });
 billSchema.index({ isInMarketplace: 1, status: 1 });
+billSchema.index({ status: 1, auctionEndsAt: 1 }); // For closing auctions
+
+// Static method for the filter of bills open for financing in the
+// marketplace
+billSchema.statics.marketplaceFilter = function () {
+  return {
+    isInMarketplace: true,
+    status: 'sent',
+    dueDate: { $gt: new Date() }, // Not overdue
+    financer: null, // Not yet financed
+  };
+};
 
 // Virtual for remaining amount after financing
 billSchema.virtual('remainingAmount').get(function () {
@@ -107,6 +295,142 @@ billSchema.virtual('daysUntilDue').get(function () {
   return Math.ceil(timeDiff / (1000 * 3600 * 24));
 });
 
+// Virtual for where the bill's auction stands: none, running or closed
+billSchema.virtual('auctionStatus').get(function () {
+  if (!this.auctionEndsAt) return 'none';
+  return this.auctionClosedAt ? 'closed' : 'running';
+});
+
+// Virtuals for what has been paid so far and what is still owed
+billSchema.virtual('amountPaid').get(function () {
+  const paid = (this.payments || []).reduce((sum, el) => sum + el.amount, 0);
+  return roundAmount(paid);
+});
+
+// What the bill is worth after credit notes
+billSchema.virtual('netAmount').get(function () {
+  return roundAmount(this.amount - (this.creditedAmount || 0));
+});
+
+billSchema.virtual('outstanding').get(function () {
+  return roundAmount(this.netAmount - this.amountPaid);
+});
+
+// Virtual for the installment plan with payments applied in due date order.
+// Credit notes come off the last installments first.
+billSchema.virtual('installmentSchedule').get(function () {
+  let paid = this.amountPaid;
+  let credit = this.creditedAmount || 0;
+  const now = new Date();
+
+  const amounts = (this.installments || [])
+    .map((installment) => installment.amount)
+    .reverse()
+    .map((amount) => {
+      const credited = Math.min(credit, amount);
+      credit -= credited;
+      return roundAmount(amount - credited);
+    })
+    .reverse();
+
+  return (this.installments || []).map((installment, i) => {
+    const amount = amounts[i];
+    const covered = Math.min(paid, amount);
+    paid -= covered;
+
+    let status = 'pending';
+    if (!amount) status = 'credited';
+    else if (covered >= amount) status = 'paid';
+    else if (installment.dueDate < now) status = 'overdue';
+
+    return {
+      dueDate: installment.dueDate,
+      amount,
+      amountPaid: covered,
+      outstanding: roundAmount(amount - covered),
+      status,
+    };
+  });
+});
+
+// Compute line item and bill totals; with line items the grand total drives
+// amount. Registered before the installment check, which relies on amount.
+billSchema.pre('validate', function (next) {
+  if (!this.lineItems || !this.lineItems.length) return next();
+
+  const totals = { subtotal: 0, discountTotal: 0, taxTotal: 0, amount: 0 };
+
+  this.lineItems.forEach((item) => {
+    item.subtotal = roundAmount(item.quantity * item.unitPrice);
+    item.discountAmount = roundAmount(
+      (item.subtotal * (item.discountRate || 0)) / 100,
+    );
+    item.taxAmount = roundAmount(
+      ((item.subtotal - item.discountAmount) * (item.taxRate || 0)) / 100,
+    );
+    item.total = roundAmount(
+      item.subtotal - item.discountAmount + item.taxAmount,
+    );
+
+    totals.subtotal += item.subtotal;
+    totals.discountTotal += item.discountAmount;
+    totals.taxTotal += item.taxAmount;
+    totals.amount += item.total;
+  });
+
+  this.subtotal = roundAmount(totals.subtotal);
+  this.discountTotal = roundAmount(totals.discountTotal);
+  this.taxTotal = roundAmount(totals.taxTotal);
+  this.amount = roundAmount(totals.amount);
+
+  next();
+});
+
+// Validate the installment plan against the bill
+billSchema.pre('validate', function (next) {
+  if (!this.installments || !this.installments.length) return next();
+
+  const total = this.installments.reduce((sum, el) => sum + el.amount, 0);
+  if (Math.round(total * 100) !== Math.round(this.amount * 100)) {
+    this.invalidate(
+      'installments',
+      'Installment amounts must add up to the bill amount',
+    );
+  }
+
+  const dates = this.installments.map((el) => el.dueDate.getTime());
+  if (dates.some((date, i) => i > 0 && date <= dates[i - 1])) {
+    this.invalidate(
+      'installments',
+      'Installment due dates must be in ascending order',
+    );
+  }
+  if (this.dueDate && dates[dates.length - 1] > this.dueDate.getTime()) {
+    this.invalidate(
+      'installments',
+      'Installments cannot be due after the bill due date',
+    );
+  }
+
+  next();
+});
+
+// The auction has to close while the bill can still be financed
+billSchema.pre('validate', function (next) {
+  if (
+    this.auctionEndsAt &&
+    this.dueDate &&
+    this.auctionEndsAt >= this.dueDate
+  ) {
+    this.invalidate(
+      'auctionEndsAt',
+      'Auction must end before the bill due date',
+    );
+  }
+
+  next();
+});
+
 // Pre-save middleware to set currentOwner
 billSchema.pre('save', function (next) {
   if (this.isNew) {
@@ -115,28 +439,57 @@ billSchema.pre('save', function (next) {
   next();
 });
 
-// Pre-save middleware to handle status changes
-billSchema.pre('save', function (next) {
-  if (this.status === 'sent' && this.dueDate < new Date()) {
-    this.status = 'overdue';
-  }
+// Status changes must follow the lifecycle in utils/billTransitions.js. The
+// status the bill was loaded with is kept to check the next change against.
+billSchema.post('init', function () {
+  this.$locals.savedStatus = this.status;
+});
 
-  if (this.isModified('status')) {
-    if (this.status === 'sent' && !this.sentAt) {
-      this.sentAt = new Date();
-      this.isInMarketplace = true;
-    }
-    if (this.status === 'paid' && !this.paidAt) {
-      this.paidAt = new Date();
-      this.isActive = false;
-      this.isInMarketplace = false;
-    }
-    if (this.status === 'financed' && !this.financedAt) {
-      this.financedAt = new Date();
+billSchema.pre('save', function (next) {
+  if (!this.isNew && this.isModified('status')) {
+    try {
+      transitions.assertAllowed(this.$locals.savedStatus, this.status);
+    } catch (err) {
+      return next(err);
     }
   }
+  if (this.isNew || this.isModified('status')) {
+    this.set(transitions.entryUpdate(this.status, this));
+  }
 
   next();
 });
 
+billSchema.post('save', function () {
+  this.$locals.savedStatus = this.status;
+});
+
+// Update queries that change the status have to be conditional on the
+// current one, so the change can be checked and cannot race another.
+// Stamps such as financedAt are left to the query.
+billSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function () {
+  const update = this.getUpdate() || {};
+  const status = update.$set?.status ?? update.status;
+  if (status === undefined) return;
+
+  const current = this.getFilter().status;
+  const from = typeof current === 'string' ? [current] : current?.$in;
+  if (!from) {
+    throw new AppError(
+      'Bill status updates must be conditional on the current status',
+      500,
+    );
+  }
+  from.forEach((el) => transitions.assertAllowed(el, status));
+
+  const flags = transitions.entryFlags(status);
+  Object.keys(flags).forEach((field) => {
+    if (update[field] === undefined && update.$set?.[field] === undefined) {
+      this.set(field, flags[field]);
+    }
+  });
+});
+
+billSchema.plugin(audited, { entityType: 'Bill' });
+
 module.exports = mongoose.model('Bill', billSchema);
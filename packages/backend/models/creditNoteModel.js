@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('../utils/currency');
+const immutable = require('../utils/immutable');
+
+// A credit note against a sent bill: part or all of the bill the customer no
+// longer owes, e.g. to correct a billing mistake. The bill keeps its amount
+// and tracks the total credited (see creditedAmount in billModel.js). Credit
+// notes can never be changed or removed, a mistaken one is corrected with a
+// new bill.
+const creditNoteSchema = new mongoose.Schema(
+  {
+    // <bill number>-CN<n>, numbered per bill
+    creditNoteNumber: {
+      type: String,
+      required: [true, 'Credit note number is required'],
+      unique: true,
+    },
+    bill: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Bill',
+      required: [true, 'Credit note must belong to a bill'],
+    },
+    organization: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Credit note amount is required'],
+      min: [0.01, 'Credit note amount must be positive'],
+    },
+    currency: {
+      type: String,
+      enum: CURRENCIES,
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: [true, 'Please give a reason for the credit note'],
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    // Whether it credited everything that was outstanding, closing the bill
+    full: {
+      type: Boolean,
+      default: false,
+    },
+    issuedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+creditNoteSchema.index({ bill: 1, createdAt: 1 });
+creditNoteSchema.index({ organization: 1, createdAt: -1 });
+
+creditNoteSchema.plugin(immutable, {
+  message: 'Credit notes cannot be modified',
+});
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+
+// How a dispute ended: the customer's claim was rejected and the bill goes
+// back to where it was, the bill amount was lowered, or the bill was
+// cancelled altogether
+const OUTCOMES = ['reject', 'adjust_amount', 'cancel_bill'];
+
+const evidenceSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: [true, 'Evidence URL is required'],
+      trim: true,
+      validate: {
+        validator: (value) =>
+          validator.isURL(value, {
+            protocols: ['http', 'https'],
+            require_protocol: true,
+          }),
+        message: 'Evidence URL must be a valid http(s) URL',
+      },
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Evidence description cannot exceed 500 characters'],
+    },
+    uploadedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true },
+);
+
+// A customer's dispute of a bill. While it is open or escalated the bill is
+// disputed: off the marketplace, with bidding and payments frozen. The
+// organization resolves it, or an admin once it has been escalated (see
+// utils/disputes.js).
+const disputeSchema = new mongoose.Schema(
+  {
+    bill: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Bill',
+      required: [true, 'Dispute must belong to a bill'],
+    },
+    // Parties of the bill when the dispute was opened
+    customer: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    organization: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    financer: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reason: {
+      type: String,
+      required: [true, 'Dispute reason is required'],
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [5000, 'Description cannot exceed 5000 characters'],
+    },
+    evidence: [evidenceSchema],
+    status: {
+      type: String,
+      enum: ['open', 'escalated', 'resolved'],
+      default: 'open',
+    },
+
+    escalatedAt: Date,
+    escalatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    escalationReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Escalation reason cannot exceed 500 characters'],
+    },
+
+    resolution: {
+      outcome: {
+        type: String,
+        enum: OUTCOMES,
+      },
+      // Bill amount before and after an adjust_amount resolution
+      originalAmount: Number,
+      adjustedAmount: Number,
+      note: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Resolution note cannot exceed 1000 characters'],
+      },
+      resolvedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+      resolvedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// A bill has at most one dispute that is not resolved yet
+disputeSchema.index(
+  { bill: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ['open', 'escalated'] } },
+  },
+);
+disputeSchema.index({ customer: 1, createdAt: -1 });
+disputeSchema.index({ organization: 1, createdAt: -1 });
+disputeSchema.index({ financer: 1, createdAt: -1 });
+disputeSchema.index({ status: 1, createdAt: -1 });
+
+disputeSchema.statics.OUTCOMES = OUTCOMES;
+
+// Whether user is a party of the dispute, or an admin
+disputeSchema.methods.isVisibleTo = function (user) {
+  if (user.role === 'admin') return true;
+  return [this.customer, this.organization, this.financer].some(
+    (party) => party && (party._id || party).toString() === user.id,
+  );
+};
+
+module.exports = mongoose.model('Dispute', disputeSchema);
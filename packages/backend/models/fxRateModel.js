@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { CURRENCIES, PLATFORM_CURRENCY } = require('../utils/currency');
+
+// Locally configured exchange rates, maintained by admins. rate is the value
+// of one unit of currency in the platform currency, which itself is always 1.
+const fxRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: [true, 'Currency is required'],
+      uppercase: true,
+      enum: {
+        values: CURRENCIES.filter((el) => el !== PLATFORM_CURRENCY),
+        message: 'Unsupported currency: {VALUE}',
+      },
+      unique: true,
+    },
+    rate: {
+      type: Number,
+      required: [true, 'Rate is required'],
+      min: [0.000001, 'Rate must be positive'],
+    },
+    updatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+module.exports = mongoose.model('FxRate', fxRateSchema);
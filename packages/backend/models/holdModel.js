@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { CURRENCIES, PLATFORM_CURRENCY } = require('../utils/currency');
+const { audited } = require('../utils/audit');
+
+// A hold reserves part of a financer's funds for one pending bid. While it is
+// active the amount sits in financerDetails.reservedFunds instead of
+// availableFunds; it is either released back (bid cancelled, rejected or
+// expired) or captured as a debit when the bid is accepted.
+const holdSchema = new mongoose.Schema(
+  {
+    financer: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Financer reference is required'],
+    },
+    bid: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Bid',
+      required: [true, 'Bid reference is required'],
+    },
+    bill: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Bill',
+      required: [true, 'Bill reference is required'],
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Hold amount is required'],
+      min: [0, 'Hold amount must be positive'],
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      enum: { values: CURRENCIES, message: 'Unsupported currency: {VALUE}' },
+      default: PLATFORM_CURRENCY,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'released', 'captured'],
+      default: 'active',
+    },
+    releaseReason: {
+      type: String,
+      enum: ['cancelled', 'rejected', 'expired'],
+    },
+    releasedAt: Date,
+    capturedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Only one active hold per bid
+holdSchema.index(
+  { bid: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } },
+);
+holdSchema.index({ financer: 1, status: 1 });
+
+holdSchema.plugin(audited, { entityType: 'Hold' });
+
+module.exports = mongoose.model('Hold', holdSchema);
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { CURRENCIES, PLATFORM_CURRENCY } = require('../utils/currency');
+const immutable = require('../utils/immutable');
+
+// Accounts a ledger entry can post to. User accounts are what the platform
+// owes that user, so credits increase them and debits decrease them:
+//   available - financer funds free to bid with
+//   reserved  - financer funds held against pending bids
+//   balance   - organization proceeds from financing and repayments
+// (see BALANCE_FIELDS in utils/ledger.js for where they are cached)
+// Platform accounts have no user:
+//   cash      - money entering or leaving the platform from outside
+//   fees      - fees earned by the platform
+const ACCOUNTS = ['available', 'reserved', 'balance', 'cash', 'fees'];
+
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    transaction: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Transaction',
+      required: [true, 'Transaction reference is required'],
+    },
+    type: {
+      type: String,
+      required: [true, 'Entry type is required'],
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    account: {
+      type: String,
+      enum: ACCOUNTS,
+      required: [true, 'Account is required'],
+    },
+    direction: {
+      type: String,
+      enum: ['debit', 'credit'],
+      required: [true, 'Direction is required'],
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Entry amount is required'],
+      min: [0, 'Entry amount must be positive'],
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      enum: { values: CURRENCIES, message: 'Unsupported currency: {VALUE}' },
+      default: PLATFORM_CURRENCY,
+    },
+    // Balance of the user's account right after this entry
+    balanceAfter: Number,
+    bill: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Bill',
+    },
+    bid: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Bid',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+ledgerEntrySchema.index({ user: 1, account: 1, currency: 1, createdAt: -1 });
+ledgerEntrySchema.index({ transaction: 1 });
+
+// Signed effect of the entry on a user account
+ledgerEntrySchema.virtual('signedAmount').get(function () {
+  return this.direction === 'credit' ? this.amount : -this.amount;
+});
+
+// Entries are append-only
+ledgerEntrySchema.plugin(immutable, {
+  message: 'Ledger entries cannot be modified',
+});
+
+// Static method to derive a user's balances from their entries, as
+// { account: { currency: balance } }
+ledgerEntrySchema.statics.balancesFor = async function (userId) {
+  const balances = await this.aggregate([
+    { $match: { user: userId } },
+    {
+      $group: {
+        _id: { account: '$account', currency: '$currency' },
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ['$direction', 'credit'] },
+              '$amount',
+              { $multiply: ['$amount', -1] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return balances.reduce((acc, el) => {
+    const { account, currency } = el._id;
+    acc[account] = {
+      ...acc[account],
+      [currency || PLATFORM_CURRENCY]: el.balance,
+    };
+    return acc;
+  }, {});
+};
+
+ledgerEntrySchema.statics.ACCOUNTS = ACCOUNTS;
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Bill, bid and dispute lifecycle events users are notified of
+const NOTIFICATION_TYPES = [
+  'bill.received',
+  'bill.paid',
+  'bill.overdue',
+  'bill.credited',
+  'bill.status_changed',
+  'bid.placed',
+  'bid.updated',
+  'bid.outbid',
+  'bid.countered',
+  'bid.accepted',
+  'bid.rejected',
+  'bid.expired',
+  'auction.closed',
+  'dispute.opened',
+  'dispute.escalated',
+  'dispute.resolved',
+];
+
+// Events that also go out by email unless the user changes their
+// preferences (see notificationPreferences in userModal.js)
+const DEFAULT_EMAIL_TYPES = [
+  'bill.received',
+  'bill.overdue',
+  'bill.credited',
+  'bid.accepted',
+  'bid.expired',
+  'auction.closed',
+  'dispute.opened',
+  'dispute.resolved',
+];
+
+// An in-app notification. Created by utils/notifications.js when something
+// happens to a user's bills or bids.
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Notification must belong to a user'],
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: [true, 'Notification type is required'],
+    },
+    title: {
+      type: String,
+      required: [true, 'Notification title is required'],
+    },
+    message: {
+      type: String,
+      required: [true, 'Notification message is required'],
+    },
+    bill: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Bill',
+    },
+    bid: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Bid',
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+notificationSchema.virtual('isRead').get(function () {
+  return !!this.readAt;
+});
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+notificationSchema.statics.DEFAULT_EMAIL_TYPES = DEFAULT_EMAIL_TYPES;
+
+notificationSchema.statics.unreadCount = function (userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Log of payment reminders (dunning emails) sent to customers. offsetDays is
+// the reminder's position relative to the due date: negative before it,
+// positive after it.
+const reminderSchema = new mongoose.Schema(
+  {
+    bill: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Bill',
+      required: [true, 'Bill reference is required'],
+    },
+    organization: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Organization reference is required'],
+    },
+    customer: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Customer reference is required'],
+    },
+    offsetDays: {
+      type: Number,
+      required: [true, 'Reminder offset is required'],
+    },
+    email: String,
+    subject: String,
+    sentAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Each reminder of the schedule goes out at most once per bill
+reminderSchema.index({ bill: 1, offsetDays: 1 }, { unique: true });
+
+module.exports = mongoose.model('Reminder', reminderSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { CURRENCIES, PLATFORM_CURRENCY } = require('../utils/currency');
+const immutable = require('../utils/immutable');
+
+// A Transaction groups the balanced ledger entries of one money movement
+// (see models/ledgerEntryModel.js). Like its entries it is never changed
+// after it has been written.
+const transactionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        'deposit',
+        'hold',
+        'release',
+        'investment',
+        'repayment',
+        'fee',
+        'settlement',
+      ],
+      required: [true, 'Transaction type is required'],
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Transaction amount is required'],
+      min: [0, 'Transaction amount must be positive'],
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      enum: { values: CURRENCIES, message: 'Unsupported currency: {VALUE}' },
+      default: PLATFORM_CURRENCY,
+    },
+    description: String,
+    bill: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Bill',
+    },
+    bid: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Bid',
+    },
+    initiatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+transactionSchema.index({ bill: 1 });
+
+transactionSchema.plugin(immutable, {
+  message: 'Transactions cannot be modified',
+});
+
+module.exports = mongoose.model('Transaction', transactionSchema);
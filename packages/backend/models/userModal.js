@@ -3,6 +3,25 @@ const mongoose = require('mongoose');
 const validator = require('validator');
 const bcrypt = require('bcryptjs');
 const { type } = require('os');
+const { CURRENCIES, PLATFORM_CURRENCY } = require('../utils/currency');
+const { audited } = require('../utils/audit');
+const Notification = require('./notificationModel');
+
+// Balances held in currencies other than the platform currency
+const financerBalanceSchema = new mongoose.Schema(
+  {
+    availableFunds: { type: Number, default: 0, min: 0 },
+    reservedFunds: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false },
+);
+
+const organizationBalanceSchema = new mongoose.Schema(
+  {
+    balance: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false },
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -20,9 +39,16 @@ const userSchema = new mongoose.Schema(
     photo: String,
     role: {
       type: String,
-      enum: ['customer', 'organization', 'financer'],
+      enum: ['customer', 'organization', 'financer', 'admin'],
       default: 'customer',
     },
+    // Currency stats and dashboards are reported in
+    baseCurrency: {
+      type: String,
+      uppercase: true,
+      enum: { values: CURRENCIES, message: 'Unsupported currency: {VALUE}' },
+      default: PLATFORM_CURRENCY,
+    },
     password: {
       type: String,
       required: [true, 'Please provide a password'],
@@ -66,6 +92,31 @@ const userSchema = new mongoose.Schema(
         bankName: String,
         routingNumber: String,
       },
+      // Proceeds from financing and repayments, see models/ledgerEntryModel.js
+      balance: {
+        type: Number,
+        default: 0,
+        min: [0, 'Balance cannot be negative'],
+      },
+      currencyBalances: {
+        type: Map,
+        of: organizationBalanceSchema,
+      },
+      // Payment reminder schedule in days relative to the due date
+      // (negative = before it), see jobs/sendPaymentReminders.js
+      reminderOffsets: {
+        type: [Number],
+        default: [-7, 0, 7, 14, 30],
+        validate: {
+          validator: function (offsets) {
+            return offsets.every(
+              (offset) =>
+                Number.isInteger(offset) && offset >= -30 && offset <= 90,
+            );
+          },
+          message: 'Reminder offsets must be whole days between -30 and 90',
+        },
+      },
     },
 
     // Customer specific fields
@@ -94,6 +145,18 @@ const userSchema = new mongoose.Schema(
         default: 0,
         min: [0, 'Available funds cannot be negative'],
       },
+      // Funds held against pending bids, see models/holdModel.js
+      reservedFunds: {
+        type: Number,
+        default: 0,
+        min: [0, 'Reserved funds cannot be negative'],
+      },
+      // availableFunds and reservedFunds are in the platform currency,
+      // funds in other currencies are kept here by currency code
+      currencyBalances: {
+        type: Map,
+        of: financerBalanceSchema,
+      },
       investmentPreferences: {
         minAmount: { type: Number, default: 0 },
         maxAmount: { type: Number, default: 1000000 },
@@ -125,6 +188,15 @@ const userSchema = new mongoose.Schema(
       totalReturns: { type: Number, default: 0 },
     },
 
+    // Notification types that are also sent by email. Every notification
+    // shows up in the app regardless.
+    notificationPreferences: {
+      email: {
+        type: [{ type: String, enum: Notification.TYPES }],
+        default: () => [...Notification.DEFAULT_EMAIL_TYPES],
+      },
+    },
+
     // Verification status
     isVerified: {
       type: Boolean,
@@ -205,6 +277,7 @@ userSchema.pre('save', function (next) {
   if (this.role === 'financer' && !this.financerDetails) {
     this.financerDetails = {
       availableFunds: 0,
+      reservedFunds: 0,
       investmentPreferences: {
         minAmount: 0,
         maxAmount: 1000000,
@@ -217,6 +290,28 @@ userSchema.pre('save', function (next) {
   next();
 });
 
+// Financer funds per currency, as { USD: { availableFunds, reservedFunds } }
+userSchema.methods.fundsByCurrency = function () {
+  const details = this.financerDetails || {};
+  const funds = {
+    [PLATFORM_CURRENCY]: {
+      availableFunds: details.availableFunds || 0,
+      reservedFunds: details.reservedFunds || 0,
+    },
+  };
+
+  if (details.currencyBalances) {
+    details.currencyBalances.forEach((balance, currency) => {
+      funds[currency] = {
+        availableFunds: balance.availableFunds || 0,
+        reservedFunds: balance.reservedFunds || 0,
+      };
+    });
+  }
+
+  return funds;
+};
+
 // Method to update stats based on role
 userSchema.methods.updateStats = async function (statType, value = 1) {
   if (!this.stats) this.stats = {};
@@ -325,5 +420,28 @@ userSchema.methods.createPasswordResetToken = function () {
   return resetToken;
 };
 
+// Cached ledger balances (see BALANCE_FIELDS in utils/ledger.js). They only
+// move through ledger postings, never through sign-up or profile updates.
+const BALANCE_FIELDS = [
+  'financerDetails.availableFunds',
+  'financerDetails.reservedFunds',
+  'financerDetails.currencyBalances',
+  'organizationDetails.balance',
+  'organizationDetails.currencyBalances',
+];
+
+userSchema.statics.BALANCE_FIELDS = BALANCE_FIELDS;
+
+userSchema.plugin(audited, {
+  entityType: 'User',
+  redact: [
+    'password',
+    'passwordConfirm',
+    'passwordResetToken',
+    'passwordResetExpires',
+  ],
+  fundsFields: BALANCE_FIELDS,
+});
+
 const User = mongoose.model('User', userSchema);
 module.exports = User;
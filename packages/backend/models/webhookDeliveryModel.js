@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const attemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, required: true },
+    // HTTP status of the response, missing when none came back
+    statusCode: Number,
+    error: String,
+    durationMs: Number,
+  },
+  { _id: false },
+);
+
+// One event sent to one webhook, with every attempt made to deliver it.
+// Pending deliveries are retried with exponential backoff until they succeed
+// or run out of attempts (see utils/webhooks.js).
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Webhook',
+      required: [true, 'Delivery must belong to a webhook'],
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Delivery must belong to a user'],
+    },
+    event: {
+      type: String,
+      required: [true, 'Event type is required'],
+    },
+    // Same for every delivery of the event, so receivers can deduplicate
+    eventId: {
+      type: String,
+      required: [true, 'Event ID is required'],
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'Payload is required'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending',
+    },
+    attempts: [attemptSchema],
+    nextAttemptAt: Date,
+    deliveredAt: Date,
+    // Set on manual redeliveries
+    redeliveryOf: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'WebhookDelivery',
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const validator = require('validator');
+const network = require('../utils/network');
+
+// Events a webhook can subscribe to. Payloads carry the same data as the
+// real-time events of the same type (see utils/marketEvents.js).
+const WEBHOOK_EVENTS = [
+  'bill.sent',
+  'bill.paid',
+  'bill.overdue',
+  'bill.credited',
+  'bill.status_changed',
+  'bid.placed',
+  'bid.updated',
+  'bid.outbid',
+  'bid.countered',
+  'bid.accepted',
+  'bid.rejected',
+  'bid.expired',
+  'auction.closed',
+  'dispute.opened',
+  'dispute.escalated',
+  'dispute.resolved',
+];
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// An endpoint a user registered to receive events on. Deliveries are signed
+// with its secret (see utils/webhooks.js).
+const webhookSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Webhook must belong to a user'],
+    },
+    url: {
+      type: String,
+      required: [true, 'Webhook URL is required'],
+      trim: true,
+      validate: [
+        {
+          validator: (value) =>
+            validator.isURL(value, {
+              protocols: ['http', 'https'],
+              require_protocol: true,
+            }),
+          message: 'Webhook URL must be a valid http(s) URL',
+        },
+        // Deliveries are made from the server, so they must not reach it or
+        // its network. Checked again before each delivery, as DNS can change.
+        {
+          validator: (value) => network.isPublicHost(new URL(value).hostname),
+          message: 'Webhook URL must point to a public host',
+        },
+      ],
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: {
+        validator: (value) => value.length > 0,
+        message: 'Webhook must subscribe to at least one event',
+      },
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+    },
+    // Only shown when the webhook is created
+    secret: {
+      type: String,
+      default: generateSecret,
+      select: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+webhookSchema.index({ user: 1, isActive: 1 });
+
+webhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+webhookSchema.methods.rotateSecret = function () {
+  this.secret = generateSecret();
+  return this.secret;
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,14 @@
+const express = require('express');
+const auditController = require('../controllers/auditController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Admin only routes
+router.use(authController.protect);
+router.use(authController.restrictTo('admin'));
+
+router.get('/', auditController.getAuditEvents);
+router.get('/:id', auditController.getAuditEvent);
+
+module.exports = router;
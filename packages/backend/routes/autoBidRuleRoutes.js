@@ -0,0 +1,22 @@
+const express = require('express');
+const autoBidRuleController = require('../controllers/autoBidRuleController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+router.use(authController.restrictTo('financer'));
+
+router
+  .route('/')
+  .get(autoBidRuleController.getMyRules)
+  .post(autoBidRuleController.createRule);
+
+router
+  .route('/:id')
+  .get(autoBidRuleController.getRule)
+  .patch(autoBidRuleController.updateRule)
+  .delete(autoBidRuleController.deleteRule);
+
+module.exports = router;
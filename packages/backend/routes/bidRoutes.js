@@ -37,6 +37,31 @@ router.delete(
 // Routes accessible by organization (bill owners) and financers
 router.get('/bill/:billId', bidController.getBidsForBill);
 router.get('/bill/:billId/highest', bidController.getHighestBid);
+router.get(
+  '/bill/:billId/compare',
+  authController.restrictTo('organization'),
+  bidController.compareBids,
+);
+router.get('/:id/history', bidController.getBidHistory);
+
+// Negotiation between the bill organization and the bidding financer
+router
+  .route('/:id/counter-offers')
+  .get(bidController.getCounterOffers)
+  .post(
+    authController.restrictTo('organization', 'financer'),
+    bidController.counterBid,
+  );
+router.patch(
+  '/:id/counter-offers/accept',
+  authController.restrictTo('organization', 'financer'),
+  bidController.acceptCounterOffer,
+);
+router.patch(
+  '/:id/counter-offers/reject',
+  authController.restrictTo('organization', 'financer'),
+  bidController.rejectCounterOffer,
+);
 router.get('/:id', bidController.getBid);
 
 // Organization only routes
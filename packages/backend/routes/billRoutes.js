@@ -12,6 +12,13 @@ router.get('/stats', billController.getBillsStats);
 router.get('/my-bills', billController.getMyBills);
 router.get('/status/:status', billController.getBillsByStatus);
 router.get('/:id', billController.getBill);
+router.get('/:id/pdf', billController.getBillPdf);
+router.get('/:id/reminders', billController.getBillReminders);
+router.get('/:id/transitions', billController.getBillTransitions);
+router.get('/:id/credit-notes', billController.getCreditNotes);
+
+// Who may take a transition is decided per bill, see utils/billTransitions.js
+router.patch('/:id/transitions/:action', billController.transitionBill);
 
 // Organization only routes
 router.post(
@@ -26,6 +33,18 @@ router.patch(
   billController.sendBill,
 );
 
+router.patch(
+  '/:id/auction',
+  authController.restrictTo('organization'),
+  billController.startAuction,
+);
+
+router.post(
+  '/:id/credit-notes',
+  authController.restrictTo('organization'),
+  billController.issueCreditNote,
+);
+
 router.patch(
   '/:id',
   authController.restrictTo('organization'),
@@ -52,4 +71,10 @@ router.get(
   billController.getMarketplaceBills,
 );
 
+router.get(
+  '/marketplace/recommended',
+  authController.restrictTo('financer'),
+  billController.getRecommendedBills,
+);
+
 module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const disputeController = require('../controllers/disputeController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+router
+  .route('/')
+  .get(disputeController.getDisputes)
+  .post(authController.restrictTo('customer'), disputeController.openDispute);
+
+router.get('/:id', disputeController.getDispute);
+router.post('/:id/evidence', disputeController.addEvidence);
+router.patch('/:id/escalate', disputeController.escalateDispute);
+router.patch(
+  '/:id/resolve',
+  authController.restrictTo('organization', 'admin'),
+  disputeController.resolveDispute,
+);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const eventController = require('../controllers/eventController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// A short-lived token for opening the stream, which takes it as ?token=.
+// It is only checked when the stream is opened, but EventSource reconnects
+// with the same URL: once the token has expired a reconnect gets a 401 and
+// the EventSource closes. Clients get a new token and open a new stream
+// when that happens (on 'error' with readyState CLOSED).
+router.post('/token', authController.protect, authController.createStreamToken);
+
+router.get(
+  '/',
+  authController.allowQueryToken,
+  authController.protect,
+  eventController.streamEvents,
+);
+
+module.exports = router;
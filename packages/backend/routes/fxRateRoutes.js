@@ -0,0 +1,19 @@
+const express = require('express');
+const fxRateController = require('../controllers/fxRateController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+router.get('/', fxRateController.getRates);
+
+// Admin only routes
+router.put(
+  '/:currency',
+  authController.restrictTo('admin'),
+  fxRateController.setRate,
+);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const notificationController = require('../controllers/notificationController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+router.get('/', notificationController.getMyNotifications);
+router.patch('/read-all', notificationController.markAllRead);
+
+router
+  .route('/preferences')
+  .get(notificationController.getPreferences)
+  .patch(notificationController.updatePreferences);
+
+router.patch('/:id/read', notificationController.markRead);
+
+module.exports = router;
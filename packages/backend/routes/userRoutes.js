@@ -21,6 +21,7 @@ router.use(authController.protect); // this will protect all the routes that com
 router.get('/dashboard', userController.getDashboard);
 router.get('/stats', userController.getUserStats);
 router.get('/activity-feed', userController.getActivityFeed);
+router.get('/transactions', userController.getTransactions);
 router.patch('/updateMyPassword', authController.updatePassword);
 router.patch('/updateProfile', userController.updateProfile);
 router.post('/upload-verification', userController.uploadVerificationDocument);
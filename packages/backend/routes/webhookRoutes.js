@@ -0,0 +1,32 @@
+const express = require('express');
+const webhookController = require('../controllers/webhookController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+router.use(authController.restrictTo('organization', 'financer'));
+
+router
+  .route('/')
+  .get(webhookController.getMyWebhooks)
+  .post(webhookController.createWebhook);
+
+router
+  .route('/:id')
+  .get(webhookController.getWebhook)
+  .patch(webhookController.updateWebhook)
+  .delete(webhookController.deleteWebhook);
+
+router.post('/:id/secret', webhookController.rotateSecret);
+router.post('/:id/ping', webhookController.pingWebhook);
+
+router.get('/:id/deliveries', webhookController.getDeliveries);
+router.get('/:id/deliveries/:deliveryId', webhookController.getDelivery);
+router.post(
+  '/:id/deliveries/:deliveryId/redeliver',
+  webhookController.redeliver,
+);
+
+module.exports = router;
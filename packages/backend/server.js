@@ -11,10 +11,17 @@ process.on('uncaughtException', (err) => {
 dotenv.config({ path: './config.env' });
 // we require the app.js here after we config the whole process in above code
 const app = require('./app');
+const scheduler = require('./utils/scheduler');
+const jobs = require('./jobs');
 
 const DB = process.env.DATABASE;
 
-mongoose.connect(DB, {}).then(() => console.log('DB connection succesfull'));
+mongoose.connect(DB, {}).then(() => {
+  console.log('DB connection succesfull');
+
+  //background jobs (bid expiry etc.), skipped when NODE_ENV=test or SCHEDULER_ENABLED=false
+  if (scheduler.start(jobs)) console.log('Scheduler started');
+});
 
 const port = process.env.PORT || 3000;
 
@@ -25,6 +32,7 @@ const server = app.listen(port, () => {
 process.on('unhandledRejection', (err) => {
   console.log('UNHANDLED REJECTION!!  Shutting down...');
   console.log(err.name, err.message);
+  scheduler.stop();
   server.close(() => {
     process.exit(1);
   });
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const APIFeatures = require('../utils/apiFeatures');
+
+const id = new mongoose.Types.ObjectId();
+const paidAt = new Date('2025-01-01');
+
+const after = (doc, sortSpec) =>
+  APIFeatures.cursorFilter(APIFeatures.encodeCursor(doc, sortSpec), sortSpec);
+
+describe('APIFeatures', () => {
+  describe('cursorFilter', () => {
+    it('moves past a value in either direction', () => {
+      assert.deepEqual(after({ amount: 5, _id: id }, { amount: 1, _id: 1 }), {
+        $or: [{ amount: { $gt: 5 } }, { amount: 5, _id: { $gt: id } }],
+      });
+      assert.deepEqual(
+        after({ amount: 5, _id: id }, { amount: -1, _id: -1 }).$or[0],
+        { $or: [{ amount: { $lt: 5 } }, { amount: null }] },
+      );
+    });
+
+    it('keeps documents without a value on a descending sort', () => {
+      assert.deepEqual(after({ paidAt, _id: id }, { paidAt: -1, _id: -1 }), {
+        $or: [
+          { $or: [{ paidAt: { $lt: paidAt } }, { paidAt: null }] },
+          { paidAt, $or: [{ _id: { $lt: id } }, { _id: null }] },
+        ],
+      });
+      assert.deepEqual(
+        after({ paidAt: null, _id: id }, { paidAt: -1, _id: -1 }),
+        { $or: [{ paidAt: null, $or: [{ _id: { $lt: id } }, { _id: null }] }] },
+      );
+    });
+
+    it('gets past documents without a value on an ascending sort', () => {
+      assert.deepEqual(
+        after({ paidAt: null, _id: id }, { paidAt: 1, _id: 1 }),
+        {
+          $or: [{ paidAt: { $ne: null } }, { paidAt: null, _id: { $gt: id } }],
+        },
+      );
+    });
+
+    it('rejects a cursor for another sort order', () => {
+      const cursor = APIFeatures.encodeCursor(
+        { amount: 5, _id: id },
+        { amount: 1, _id: 1 },
+      );
+      assert.throws(
+        () => APIFeatures.cursorFilter(cursor, { paidAt: 1, _id: 1 }),
+        { statusCode: 400 },
+      );
+    });
+  });
+
+  describe('parseLimit', () => {
+    it('returns at least one and at most the maximum', () => {
+      assert.equal(APIFeatures.parseLimit('-1'), 1);
+      assert.equal(APIFeatures.parseLimit('5'), 5);
+      assert.equal(APIFeatures.parseLimit('5000'), 1000);
+    });
+
+    it('falls back to the default', () => {
+      assert.equal(APIFeatures.parseLimit(undefined), 100);
+      assert.equal(APIFeatures.parseLimit('0'), 100);
+      assert.equal(APIFeatures.parseLimit('abc'), 100);
+    });
+  });
+
+  describe('parseFilter', () => {
+    it('leaves out control and excluded fields', () => {
+      assert.deepEqual(
+        APIFeatures.parseFilter(
+          { status: 'sent', q: 'x', limit: '5', amount: { gte: '10' } },
+          { excludedFields: ['q'] },
+        ),
+        { status: 'sent', amount: { $gte: '10' } },
+      );
+    });
+
+    it('rejects fields that are not allowed', () => {
+      assert.throws(
+        () =>
+          APIFeatures.parseFilter(
+            { password: 'x' },
+            { allowedFields: ['status'] },
+          ),
+        { statusCode: 400 },
+      );
+    });
+  });
+});
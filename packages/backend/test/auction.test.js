@@ -0,0 +1,68 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const fixtures = require('./helpers/fixtures');
+const Bid = require('../models/bidModel');
+const Bill = require('../models/billModel');
+
+const MINUTE = 60 * 1000;
+
+describe('auction', { timeout: 120000 }, () => {
+  let organization;
+  let customer;
+  let financer;
+  const env = { ...process.env };
+
+  before(async () => {
+    // A window longer than the extension
+    process.env.AUCTION_SNIPING_WINDOW_MINUTES = '10';
+    process.env.AUCTION_EXTENSION_MINUTES = '5';
+    await db.connect();
+  });
+  after(async () => {
+    process.env = env;
+    await db.disconnect();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    organization = await fixtures.createUser('organization');
+    customer = await fixtures.createUser('customer');
+    financer = await fixtures.createUser('financer');
+    await fixtures.deposit(financer, 2000);
+  });
+
+  const auctionEndingIn = (minutes) =>
+    fixtures.createSentBill(organization, customer, {
+      auctionEndsAt: new Date(Date.now() + minutes * MINUTE),
+    });
+
+  describe('recordBid', () => {
+    it('extends an auction when a bid comes in near its end', async () => {
+      const bill = await auctionEndingIn(2);
+
+      const bid = await fixtures.placeBid(bill, financer, 80);
+
+      const current = await Bill.findById(bill._id);
+      assert.equal(current.auctionExtensions, 1);
+      assert.ok(current.auctionEndsAt - bid.createdAt >= 5 * MINUTE - 1000);
+      assert.equal(
+        (await Bid.findById(bid._id)).expiresAt.getTime(),
+        current.auctionEndsAt.getTime() + 60 * MINUTE,
+      );
+    });
+
+    it('never moves the end of an auction earlier', async () => {
+      const bill = await auctionEndingIn(9);
+
+      await fixtures.placeBid(bill, financer, 80);
+
+      const current = await Bill.findById(bill._id);
+      assert.equal(current.auctionExtensions, 0);
+      assert.equal(
+        current.auctionEndsAt.getTime(),
+        bill.auctionEndsAt.getTime(),
+      );
+    });
+  });
+});
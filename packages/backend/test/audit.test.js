@@ -0,0 +1,126 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const fixtures = require('./helpers/fixtures');
+const AuditEvent = require('../models/auditEventModel');
+const Bill = require('../models/billModel');
+const User = require('../models/userModal');
+const runInTransaction = require('../utils/transaction');
+
+const eventsFor = (doc) =>
+  AuditEvent.find({ entity: doc._id }).sort('createdAt _id').lean();
+
+describe('audited', { timeout: 120000 }, () => {
+  let organization;
+  let customer;
+  let financer;
+
+  before(db.connect);
+  after(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    organization = await fixtures.createUser('organization');
+    customer = await fixtures.createUser('customer');
+    financer = await fixtures.createUser('financer');
+  });
+
+  it('records a created document', async () => {
+    const [event] = await eventsFor(financer);
+
+    assert.equal(event.entityType, 'User');
+    assert.equal(event.action, 'created');
+    assert.equal(event.actorRole, 'system');
+    assert.equal(
+      event.changes.find(({ field }) => field === 'role').to,
+      'financer',
+    );
+    // Never selected, so never read into the audit trail
+    assert.ok(!event.changes.some(({ field }) => field === 'password'));
+  });
+
+  it('records balance moves made in a transaction as funds_changed', async () => {
+    await fixtures.deposit(financer, 100);
+
+    const events = await eventsFor(financer);
+    assert.equal(events.length, 2);
+    assert.equal(events[1].action, 'funds_changed');
+    assert.deepEqual(events[1].changes, [
+      { field: 'financerDetails.availableFunds', from: 0, to: 100 },
+    ]);
+  });
+
+  it('records nothing when the transaction aborts', async () => {
+    await assert.rejects(
+      runInTransaction(async (session) => {
+        await User.updateOne(
+          { _id: financer._id },
+          { $inc: { 'financerDetails.availableFunds': 100 } },
+          { session },
+        );
+        throw new Error('Abort');
+      }),
+      /Abort/,
+    );
+
+    assert.equal((await eventsFor(financer)).length, 1);
+    const { financerDetails } = await User.findById(financer._id);
+    assert.equal(financerDetails.availableFunds, 0);
+  });
+
+  it('records every document a bid moves in its transaction', async () => {
+    await fixtures.deposit(financer, 1000);
+    const bill = await fixtures.createSentBill(organization, customer);
+
+    const bid = await fixtures.placeBid(bill, financer, 50);
+
+    assert.equal((await eventsFor(bid))[0].action, 'created');
+    // Created, deposit, the hold's two ledger entries and the bid stats
+    const events = await eventsFor(financer);
+    assert.deepEqual(
+      events.map((event) => event.action),
+      ['created', 'funds_changed', 'funds_changed', 'funds_changed', 'updated'],
+    );
+    assert.deepEqual(
+      events.slice(2, 4).flatMap((event) => event.changes),
+      [
+        { field: 'financerDetails.availableFunds', from: 1000, to: 500 },
+        { field: 'financerDetails.reservedFunds', from: 0, to: 500 },
+      ],
+    );
+  });
+
+  it('records status changes and skips updates that change nothing', async () => {
+    const bill = await fixtures.createSentBill(organization, customer);
+
+    await runInTransaction(async (session) => {
+      await Bill.findOneAndUpdate(
+        { _id: bill._id, status: 'sent' },
+        { status: 'overdue' },
+        { new: true, session },
+      );
+      // A guarded update that no longer matches
+      await Bill.findOneAndUpdate(
+        { _id: bill._id, status: 'sent' },
+        { status: 'paid' },
+        { session },
+      );
+      // An update to the status the bill already has
+      await Bill.updateOne(
+        { _id: bill._id, status: 'overdue' },
+        { status: 'overdue' },
+        { session },
+      );
+    });
+
+    const events = await eventsFor(bill);
+    assert.deepEqual(
+      events.map((event) => event.action),
+      ['created', 'status_changed'],
+    );
+    assert.deepEqual(
+      events[1].changes.find(({ field }) => field === 'status'),
+      { field: 'status', from: 'sent', to: 'overdue' },
+    );
+  });
+});
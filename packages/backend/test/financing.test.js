@@ -0,0 +1,221 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const fixtures = require('./helpers/fixtures');
+const Bid = require('../models/bidModel');
+const Bill = require('../models/billModel');
+const Transaction = require('../models/transactionModel');
+const User = require('../models/userModal');
+const financing = require('../utils/financing');
+const runInTransaction = require('../utils/transaction');
+
+const accept = (bid, organization) =>
+  runInTransaction((session) =>
+    financing.acceptBid(bid._id, { organizationId: organization.id, session }),
+  );
+
+const pay = (bill, customer, amount) =>
+  runInTransaction((session) =>
+    financing.payBill(bill._id, { customerId: customer.id, amount, session }),
+  );
+
+const funds = async (user) => {
+  const { financerDetails } = await User.findById(user._id);
+  return {
+    available: financerDetails.availableFunds,
+    reserved: financerDetails.reservedFunds,
+  };
+};
+
+const balance = async (user) =>
+  (await User.findById(user._id)).organizationDetails.balance;
+
+const fulfilled = (results) =>
+  results.filter((result) => result.status === 'fulfilled');
+
+describe('financing', { timeout: 120000 }, () => {
+  let organization;
+  let customer;
+  let financers;
+  let bill;
+
+  before(db.connect);
+  after(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    organization = await fixtures.createUser('organization');
+    customer = await fixtures.createUser('customer');
+    financers = [
+      await fixtures.createUser('financer'),
+      await fixtures.createUser('financer'),
+    ];
+    await fixtures.deposit(financers[0], 2000);
+    await fixtures.deposit(financers[1], 2000);
+    bill = await fixtures.createSentBill(organization, customer);
+  });
+
+  describe('acceptBid', () => {
+    it('finances the bill and pays out the advance from the hold', async () => {
+      const bid = await fixtures.placeBid(bill, financers[0], 80);
+      assert.deepEqual(await funds(financers[0]), {
+        available: 1200,
+        reserved: 800,
+      });
+
+      await accept(bid, organization);
+
+      const financed = await Bill.findById(bill._id);
+      assert.equal(financed.status, 'financed');
+      assert.equal(financed.financer.toString(), financers[0].id);
+      assert.equal(financed.financedAmount, 800);
+      assert.deepEqual(await funds(financers[0]), {
+        available: 1200,
+        reserved: 0,
+      });
+      assert.equal(await balance(organization), 800);
+    });
+
+    it('accepts only one of two bids accepted at the same time', async () => {
+      const bids = [
+        await fixtures.placeBid(bill, financers[0], 80),
+        await fixtures.placeBid(bill, financers[1], 70),
+      ];
+
+      const results = await Promise.allSettled(
+        bids.map((bid) => accept(bid, organization)),
+      );
+
+      assert.equal(fulfilled(results).length, 1);
+      const winner = fulfilled(results)[0].value.bid;
+      const winnerIndex = bids.findIndex((bid) => bid._id.equals(winner._id));
+      const loserIndex = 1 - winnerIndex;
+
+      const financed = await Bill.findById(bill._id);
+      assert.equal(financed.status, 'financed');
+      assert.ok(financed.financer.equals(winner.financer));
+      assert.equal(financed.financedAmount, winner.bidAmount);
+
+      const stored = await Bid.find({ bill: bill._id });
+      assert.deepEqual(stored.map((bid) => bid.status).sort(), [
+        'accepted',
+        'rejected',
+      ]);
+
+      // The advance was paid once, and the loser got their funds back
+      assert.equal(await balance(organization), winner.bidAmount);
+      assert.deepEqual(await funds(financers[winnerIndex]), {
+        available: 2000 - winner.bidAmount,
+        reserved: 0,
+      });
+      assert.deepEqual(await funds(financers[loserIndex]), {
+        available: 2000,
+        reserved: 0,
+      });
+    });
+
+    it('pays out the advance once when the same bid is accepted twice', async () => {
+      const bid = await fixtures.placeBid(bill, financers[0], 80);
+
+      const results = await Promise.allSettled([
+        accept(bid, organization),
+        accept(bid, organization),
+      ]);
+
+      assert.equal(fulfilled(results).length, 1);
+      const [failure] = results.filter((el) => el.status === 'rejected');
+      assert.equal(failure.reason.statusCode, 400);
+
+      assert.equal(
+        await Transaction.countDocuments({ type: 'investment', bid: bid._id }),
+        1,
+      );
+      assert.equal(await balance(organization), 800);
+      assert.deepEqual(await funds(financers[0]), {
+        available: 1200,
+        reserved: 0,
+      });
+    });
+  });
+
+  describe('payBill', () => {
+    it('rejects payments above the outstanding amount', async () => {
+      await assert.rejects(pay(bill, customer, 1000.01), { statusCode: 400 });
+
+      const unpaid = await Bill.findById(bill._id);
+      assert.equal(unpaid.status, 'sent');
+      assert.equal(unpaid.payments.length, 0);
+      assert.equal(await balance(organization), 0);
+    });
+
+    it('takes partial payments until the bill is paid', async () => {
+      await pay(bill, customer, 300);
+
+      let current = await Bill.findById(bill._id);
+      assert.equal(current.status, 'partially_paid');
+      assert.equal(current.outstanding, 700);
+
+      await assert.rejects(pay(bill, customer, 800), { statusCode: 400 });
+
+      await pay(bill, customer, 700);
+
+      current = await Bill.findById(bill._id);
+      assert.equal(current.status, 'paid');
+      assert.equal(current.outstanding, 0);
+      assert.equal(current.payments.length, 2);
+      assert.equal(await balance(organization), 1000);
+
+      await assert.rejects(pay(bill, customer, 1), { statusCode: 400 });
+    });
+
+    it('splits payments on a financed bill between financer and organization', async () => {
+      const bid = await fixtures.placeBid(bill, financers[0], 80, 5);
+      await accept(bid, organization);
+
+      // The financer's principal (800) and return (40) come first
+      await pay(bill, customer, 500);
+      assert.deepEqual(await funds(financers[0]), {
+        available: 1700,
+        reserved: 0,
+      });
+      assert.equal(await balance(organization), 800);
+
+      await pay(bill, customer, 500);
+      assert.deepEqual(await funds(financers[0]), {
+        available: 2040,
+        reserved: 0,
+      });
+      assert.equal(await balance(organization), 960);
+      assert.equal((await Bill.findById(bill._id)).status, 'paid');
+    });
+
+    it('never counts two concurrent payments against the same amount', async () => {
+      const results = await Promise.allSettled([
+        pay(bill, customer, 600),
+        pay(bill, customer, 600),
+      ]);
+
+      assert.equal(fulfilled(results).length, 1);
+
+      const current = await Bill.findById(bill._id);
+      assert.equal(current.payments.length, 1);
+      assert.equal(current.amountPaid, 600);
+      assert.equal(current.status, 'partially_paid');
+      assert.equal(await balance(organization), 600);
+    });
+
+    it('pays a bill in full only once', async () => {
+      const results = await Promise.allSettled([
+        pay(bill, customer),
+        pay(bill, customer),
+      ]);
+
+      assert.equal(fulfilled(results).length, 1);
+
+      const current = await Bill.findById(bill._id);
+      assert.equal(current.status, 'paid');
+      assert.equal(current.payments.length, 1);
+      assert.equal(await balance(organization), 1000);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// A single-node in-memory replica set, which is all transactions need (see
+// utils/transaction.js)
+let replSet;
+
+exports.connect = async () => {
+  replSet = await MongoMemoryReplSet.create({
+    replSet: { count: 1, storageEngine: 'wiredTiger' },
+  });
+  await mongoose.connect(replSet.getUri());
+
+  // Collections and indexes are created up front: an index build racing a
+  // transaction makes it fail, and the unique ones are part of the guards
+  await Promise.all(
+    mongoose.modelNames().map(async (name) => {
+      const Model = mongoose.model(name);
+      await Model.createCollection();
+      await Model.init();
+    }),
+  );
+};
+
+exports.clear = () =>
+  Promise.all(
+    Object.values(mongoose.connection.collections).map((collection) =>
+      collection.deleteMany({}),
+    ),
+  );
+
+exports.disconnect = async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+};
@@ -0,0 +1,65 @@
+const User = require('../../models/userModal');
+const Bill = require('../../models/billModel');
+const ledger = require('../../utils/ledger');
+const bidding = require('../../utils/bidding');
+const runInTransaction = require('../../utils/transaction');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let counter = 0;
+
+exports.createUser = (role, overrides = {}) => {
+  counter += 1;
+  return User.create({
+    name: `${role} ${counter}`,
+    email: `${role}${counter}@example.com`,
+    role,
+    password: 'test-password',
+    passwordConfirm: 'test-password',
+    ...overrides,
+  });
+};
+
+// Credit a financer's available funds, like userController.addFunds
+exports.deposit = (user, amount) =>
+  runInTransaction((session) =>
+    ledger.post(
+      {
+        type: 'deposit',
+        description: 'Funds added',
+        initiatedBy: user._id,
+        entries: [
+          { account: 'cash', direction: 'debit', amount },
+          { user: user._id, account: 'available', direction: 'credit', amount },
+        ],
+      },
+      session,
+    ),
+  );
+
+// A bill sent to its customer and listed on the marketplace
+exports.createSentBill = (organization, customer, overrides = {}) => {
+  counter += 1;
+  return Bill.create({
+    billNumber: `TEST-${counter}`,
+    title: 'Consulting services',
+    description: 'Consulting services for the month',
+    amount: 1000,
+    dueDate: new Date(Date.now() + 30 * DAY),
+    organization: organization._id,
+    customer: customer._id,
+    currentOwner: organization._id,
+    status: 'sent',
+    ...overrides,
+  });
+};
+
+exports.placeBid = (bill, financer, financingPercentage, interest = 5) =>
+  runInTransaction((session) =>
+    bidding.placeBid(bill._id, {
+      financerId: financer.id,
+      financingPercentage,
+      interest,
+      session,
+    }),
+  );
@@ -1,12 +1,79 @@
+const mongoose = require('mongoose');
+const AppError = require('./appError');
+
+const { EJSON, ObjectId } = mongoose.mongo.BSON;
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Query string keys that control the query rather than filter it
+const CONTROL_FIELDS = ['page', 'sort', 'limit', 'fields', 'cursor', 'count'];
+
+const isCursorValue = (value) =>
+  value === null ||
+  ['string', 'number', 'boolean'].includes(typeof value) ||
+  value instanceof Date ||
+  value instanceof ObjectId;
+
+// Value of a (possibly nested) field of a document or plain object
+const valueAt = (doc, field) => {
+  const value = doc.get
+    ? doc.get(field)
+    : field.split('.').reduce((obj, key) => obj && obj[key], doc);
+  return value === undefined ? null : value;
+};
+
+// Condition for the values of field that sort after value. MongoDB sorts
+// null (and missing) before everything else, and $gt / $lt never match null,
+// so nulls are handled on their own: ascending, everything but null comes
+// after a null; descending, nulls come after every value and nothing comes
+// after a null.
+const pastCondition = (field, direction, value) => {
+  if (direction === 1) {
+    return { [field]: value === null ? { $ne: null } : { $gt: value } };
+  }
+  if (value === null) return null;
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Builds a list query from the query string: filter, sort, select fields and
+// paginate, then execute() it. Pages are addressed with an opaque cursor
+// (?cursor=, taken from the previous page's nextCursor); ?page= still works
+// for the first pages. options:
+// - filterFields / sortFields: whitelist of fields the client may filter and
+//   sort on (anything goes when left out)
+// - defaultSort: sort when the client gives none, '-createdAt' by default
 class APIFeatures {
-  constructor(query, queryString) {
+  constructor(query, queryString, options = {}) {
     this.query = query;
     this.queryString = queryString;
+    this.options = options;
   }
+
   filter() {
-    const queryObj = { ...this.queryString };
-    const excludedFields = ['page', 'sort', 'limit', 'fields'];
-    excludedFields.forEach((el) => delete queryObj[el]);
+    this.query = this.query.find(
+      APIFeatures.parseFilter(this.queryString, {
+        allowedFields: this.options.filterFields,
+      }),
+    );
+
+    return this; // means returning entire object
+  }
+
+  // Turn a query string into a filter object, leaving out the control keys
+  // and any other excluded keys. With allowedFields, filtering on anything
+  // else is rejected.
+  static parseFilter(queryString, { excludedFields = [], allowedFields } = {}) {
+    const queryObj = { ...queryString };
+    [...CONTROL_FIELDS, ...excludedFields].forEach((el) => delete queryObj[el]);
+
+    if (allowedFields) {
+      Object.keys(queryObj).forEach((key) => {
+        if (!allowedFields.includes(key)) {
+          throw new AppError(`Cannot filter by ${key}`, 400);
+        }
+      });
+    }
 
     // { duration: { $gte: '5' }, difficulty: 'easy' } ->($) this sign is what we get when we use filter method on code by mongoDb
     // { duration: { gte: '5' }, difficulty: 'easy' } ->so here in (gte) we dont get upper sign as it is just a console log of the query so if we just replace the above sign below we can impliment this(gte) greater then operatation in query
@@ -15,28 +82,49 @@ class APIFeatures {
     let queryStr = JSON.stringify(queryObj);
     queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, (match) => `$${match}`);
 
-    this.query = this.query.find(JSON.parse(queryStr));
+    return JSON.parse(queryStr);
+  }
 
-    //let query = Tour.find(JSON.parse(queryStr));
+  sort() {
+    this.sortSpec = APIFeatures.parseSort(this.queryString.sort, this.options);
+    this.query = this.query.sort(this.sortSpec);
 
-    return this; // means returning entire object
+    return this;
   }
 
-  sort() {
-    if (this.queryString.sort) {
-      const sortBy = this.queryString.sort.split(',').join(' ');
-      this.query = this.query.sort(sortBy);
-    } else {
-      this.query = this.query.sort('-createdAt');
+  // Sort spec such as { amount: -1, _id: -1 } from '-amount'. _id always
+  // comes last so every document has a unique position for cursors.
+  static parseSort(sort, { sortFields, defaultSort = '-createdAt' } = {}) {
+    const spec = {};
+
+    (sort || defaultSort)
+      .split(',')
+      .map((field) => field.trim())
+      .filter(Boolean)
+      .forEach((field) => {
+        const name = field.replace(/^-/, '');
+        if (sortFields && name !== '_id' && !sortFields.includes(name)) {
+          throw new AppError(`Cannot sort by ${name}`, 400);
+        }
+        spec[name] = field.startsWith('-') ? -1 : 1;
+      });
+
+    if (!spec._id) {
+      const directions = Object.values(spec);
+      spec._id = directions.length ? directions[directions.length - 1] : 1;
     }
 
-    return this;
+    return spec;
   }
 
   limitFields() {
     if (this.queryString.fields) {
-      const fields = this.queryString.fields.split(',').join(' ');
-      this.query = this.query.select(fields);
+      const fields = this.queryString.fields.split(',');
+      // Cursors need the sort fields, unless fields only excludes some
+      if (this.sortSpec && !fields.every((el) => el.startsWith('-'))) {
+        fields.push(...Object.keys(this.sortSpec));
+      }
+      this.query = this.query.select(fields.join(' '));
     } else {
       //this -__v means this filed in data in mongoDb will not get selected and then showed on data when we call the api everything else will be called
       this.query = this.query.select('-__v');
@@ -44,16 +132,139 @@ class APIFeatures {
 
     return this;
   }
-  pagination() {
-    const page = this.queryString.page * 1 || 1;
-    const limit = this.queryString.limit * 1 || 100;
-    const skip = (page - 1) * limit;
 
-    //we have in url ->?page=2&limit=10, means , 1-10, page 1,11-20, page 2,21-30 page 3
-    this.query = this.query.skip(skip).limit(limit);
+  paginate() {
+    if (!this.sortSpec) this.sort();
+
+    this.limit = APIFeatures.parseLimit(this.queryString.limit);
+    // Totals are counted without the cursor condition
+    this.countFilter = this.query.getFilter();
+
+    if (this.queryString.cursor) {
+      this.query = this.query.and([
+        APIFeatures.cursorFilter(this.queryString.cursor, this.sortSpec),
+      ]);
+    } else if (this.queryString.page) {
+      //we have in url ->?page=2&limit=10, means , 1-10, page 1,11-20, page 2,21-30 page 3
+      const page = this.queryString.page * 1 || 1;
+      this.query = this.query.skip((page - 1) * this.limit);
+    }
+
+    // One extra document tells whether there is a next page
+    this.query = this.query.limit(this.limit + 1);
 
     return this;
   }
+
+  populate(...args) {
+    this.query = this.query.populate(...args);
+
+    return this;
+  }
+
+  // Run the query. Resolves with the page of documents and its pagination
+  // info: nextCursor (null on the last page) and, with ?count=true, the
+  // total number of matching documents.
+  async execute() {
+    const docs = await this.query;
+    const pagination = APIFeatures.pageInfo(docs, this.limit, this.sortSpec);
+
+    if (this.queryString.count === 'true') {
+      pagination.total = await this.query.model.countDocuments(
+        this.countFilter,
+      );
+    }
+
+    return { docs, pagination };
+  }
+
+  // At least one document per page, so a limit of 0 or less never turns
+  // into query.limit(0), which means no limit at all
+  static parseLimit(limit) {
+    const value = Math.floor(limit * 1) || DEFAULT_LIMIT;
+    return Math.max(1, Math.min(value, MAX_LIMIT));
+  }
+
+  // Drop the extra document fetched by paginate() from docs and describe the
+  // page
+  static pageInfo(docs, limit, sortSpec) {
+    const hasMore = docs.length > limit;
+    if (hasMore) docs.pop();
+
+    return {
+      limit,
+      hasMore,
+      nextCursor: hasMore
+        ? APIFeatures.encodeCursor(docs[docs.length - 1], sortSpec)
+        : null,
+    };
+  }
+
+  // Opaque cursor for the position of doc in the sort order
+  static encodeCursor(doc, sortSpec) {
+    const fields = Object.keys(sortSpec);
+    const payload = { k: fields, v: fields.map((el) => valueAt(doc, el)) };
+
+    return Buffer.from(EJSON.stringify(payload)).toString('base64url');
+  }
+
+  // Filter for the documents after a cursor: equal to it on the first sort
+  // fields and past it on the next one
+  static cursorFilter(cursor, sortSpec) {
+    const fields = Object.keys(sortSpec);
+    let payload;
+
+    try {
+      payload = EJSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch (err) {
+      throw new AppError('Invalid cursor', 400);
+    }
+
+    if (
+      !payload ||
+      !Array.isArray(payload.v) ||
+      !payload.v.every(isCursorValue) ||
+      payload.v.length !== fields.length
+    ) {
+      throw new AppError('Invalid cursor', 400);
+    }
+    if (!Array.isArray(payload.k) || payload.k.join() !== fields.join()) {
+      throw new AppError('Cursor does not match the sort order', 400);
+    }
+
+    return {
+      $or: fields
+        .map((field, i) => {
+          const past = pastCondition(field, sortSpec[field], payload.v[i]);
+          if (!past) return null;
+
+          const condition = { ...past };
+          fields.slice(0, i).forEach((prev, j) => {
+            condition[prev] = payload.v[j];
+          });
+          return condition;
+        })
+        .filter(Boolean),
+    };
+  }
+
+  // Link header with the first and next page of the current request
+  static linkHeader(req, pagination) {
+    const url = new URL(
+      req.originalUrl,
+      `${req.protocol}://${req.get('host')}`,
+    );
+    url.searchParams.delete('cursor');
+    url.searchParams.delete('page');
+
+    const links = [`<${url}>; rel="first"`];
+    if (pagination.nextCursor) {
+      url.searchParams.set('cursor', pagination.nextCursor);
+      links.push(`<${url}>; rel="next"`);
+    }
+
+    return links.join(', ');
+  }
 }
 
 module.exports = APIFeatures;
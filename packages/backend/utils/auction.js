@@ -0,0 +1,178 @@
+const Bid = require('../models/bidModel');
+const Bill = require('../models/billModel');
+const AppError = require('./appError');
+const financing = require('./financing');
+
+const MINUTE = 60 * 1000;
+
+// A bid in the last AUCTION_SNIPING_WINDOW_MINUTES of an auction pushes its
+// end back to AUCTION_EXTENSION_MINUTES from then, if that is later
+const snipingWindow = () =>
+  (Number(process.env.AUCTION_SNIPING_WINDOW_MINUTES) || 5) * MINUTE;
+const extension = () =>
+  (Number(process.env.AUCTION_EXTENSION_MINUTES) || 5) * MINUTE;
+
+// How long auction bids stay valid after the auction ends, so the award job
+// still finds them
+const awardGrace = () =>
+  (Number(process.env.AUCTION_AWARD_GRACE_MINUTES) || 60) * MINUTE;
+
+exports.isRunning = (bill) => bill.auctionStatus === 'running';
+
+// Expiry of the bids on an auction bill
+exports.bidExpiry = (bill) =>
+  new Date(bill.auctionEndsAt.getTime() + awardGrace());
+
+// Whether a bid meets the reserve terms of its bill
+exports.qualifies = (bid, bill) => {
+  const reserve = bill.reserveTerms || {};
+
+  if (
+    reserve.minFinancingPercentage != null &&
+    bid.financingPercentage < reserve.minFinancingPercentage
+  ) {
+    return false;
+  }
+  if (
+    reserve.maxInterest != null &&
+    (bid.interest || 0) > reserve.maxInterest
+  ) {
+    return false;
+  }
+  return true;
+};
+
+// Best live bid on a bill, optionally leaving out one financer's
+exports.leadingBid = async (bill, { excludeFinancer, session } = {}) => {
+  const filter = {
+    bill: bill._id,
+    status: 'pending',
+    expiresAt: { $gt: new Date() },
+  };
+  if (excludeFinancer) filter.financer = { $ne: excludeFinancer };
+
+  const bids = await Bid.find(filter).session(session);
+  return Bid.rank(bids, bill)[0] || null;
+};
+
+// Check a new or changed bid against a running auction. In open (ascending)
+// auctions it has to beat the leading bid of the other financers.
+exports.checkBid = async (bill, bid, { financerId, session } = {}) => {
+  if (!exports.isRunning(bill) || bill.auctionEndsAt <= new Date()) {
+    throw new AppError('The auction for this bill has closed', 400);
+  }
+
+  if (bill.auctionMode === 'open') {
+    const leading = await exports.leadingBid(bill, {
+      excludeFinancer: financerId,
+      session,
+    });
+    if (
+      leading &&
+      Bid.compareBids({ ...bid, createdAt: new Date() }, leading, bill) >= 0
+    ) {
+      throw new AppError(
+        `Bid must beat the leading bid of ${leading.financingPercentage}% at ${leading.interest || 0}% interest`,
+        400,
+      );
+    }
+  }
+};
+
+// Record a bid on an auction bill inside the bid's transaction. Writing the
+// bill makes concurrent bids conflict, and the guard rejects bids that land
+// after the auction closed. A bid close to the end extends the auction and
+// the bids already on it.
+exports.recordBid = async (bill, session) => {
+  const now = new Date();
+  const update = { auctionLastBidAt: now };
+
+  // Only ever later: with a window longer than the extension, a bid early in
+  // the window would otherwise cut the auction short
+  const extendedEnd = now.getTime() + extension();
+  if (
+    bill.auctionEndsAt.getTime() - now.getTime() < snipingWindow() &&
+    extendedEnd > bill.auctionEndsAt.getTime()
+  ) {
+    update.auctionEndsAt = new Date(extendedEnd);
+    update.$inc = { auctionExtensions: 1 };
+  }
+
+  const updatedBill = await Bill.findOneAndUpdate(
+    {
+      _id: bill._id,
+      status: 'sent',
+      auctionClosedAt: null,
+      auctionEndsAt: { $gt: now },
+    },
+    update,
+    { new: true, session },
+  );
+  if (!updatedBill) {
+    throw new AppError('The auction for this bill has closed', 400);
+  }
+
+  if (update.$inc) {
+    await Bid.updateMany(
+      { bill: bill._id, status: 'pending' },
+      { expiresAt: exports.bidExpiry(updatedBill) },
+      { session },
+    );
+  }
+
+  return updatedBill;
+};
+
+// Close the lapsed auction of a bill and award it to the best qualifying
+// bid through financing.acceptBid. Without one the pending bids are
+// rejected and the bill leaves the marketplace. Must run inside a
+// transaction; resolves with the bill, the winning bid (if any) and the ids
+// of the rejected bids, or with null if the auction was already closed.
+exports.close = async (billId, session) => {
+  const now = new Date();
+
+  const bill = await Bill.findOneAndUpdate(
+    {
+      _id: billId,
+      status: 'sent',
+      financer: null,
+      auctionClosedAt: null,
+      auctionEndsAt: { $lte: now },
+    },
+    { auctionClosedAt: now },
+    { new: true, session },
+  );
+  if (!bill) return null;
+
+  const bids = await Bid.find({
+    bill: bill._id,
+    status: 'pending',
+    expiresAt: { $gt: now },
+  }).session(session);
+  const winner =
+    Bid.rank(
+      bids.filter((bid) => exports.qualifies(bid, bill)),
+      bill,
+    )[0] || null;
+
+  let accepted = null;
+  let rejectedBids;
+  if (winner) {
+    accepted = await financing.acceptBid(winner._id, { session });
+    ({ rejectedBids } = accepted);
+  } else {
+    rejectedBids = await financing.rejectPendingBids(bill._id, session);
+  }
+
+  await Bill.updateOne(
+    { _id: bill._id },
+    winner
+      ? { auctionOutcome: 'awarded' }
+      : { auctionOutcome: 'unawarded', isInMarketplace: false },
+    { session },
+  );
+
+  return accepted
+    ? { bill: accepted.bill, winner: accepted.bid, rejectedBids }
+    : { bill, winner: null, rejectedBids };
+};
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const AuditEvent = require('../models/auditEventModel');
+
+// Who is making changes right now: the request being handled or the
+// background job being run. Set by exports.context and exports.runAsJob.
+const storage = new AsyncLocalStorage();
+
+// Fields that change on every write and say nothing about what happened
+const IGNORED_FIELDS = ['__v', 'updatedAt'];
+
+const REDACTED = '[redacted]';
+
+// Express middleware that gives each request an ID (the X-Request-Id header
+// if the client sent one) and makes the request the source of all audited
+// changes made while handling it. Mount it after the body parsers, which
+// would otherwise lose the context.
+exports.context = (req, res, next) => {
+  req.requestId = req.get('X-Request-Id') || crypto.randomUUID();
+  res.set('X-Request-Id', req.requestId);
+
+  storage.run({ req }, next);
+};
+
+// Run a background job so its changes are attributed to it
+exports.runAsJob = (job, fn) => storage.run({ job }, fn);
+
+// Actor fields of an audit event, from the current request or job.
+// req.user is read here rather than in the middleware because it is only
+// set later, by authController.protect.
+const actorOf = () => {
+  const { req, job } = storage.getStore() || {};
+
+  if (!req) return { actorRole: 'system', job };
+  return {
+    actor: req.user ? req.user._id : null,
+    actorRole: req.user ? req.user.role : 'anonymous',
+    ip: req.ip,
+    requestId: req.requestId,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+  };
+};
+
+// Documents as plain JSON, so ObjectIds, dates and maps compare by value
+const normalize = (doc) => (doc ? JSON.parse(JSON.stringify(doc)) : {});
+
+// { a: { b: 1 } } -> { 'a.b': 1 }. Arrays are compared as a whole.
+const flatten = (obj, prefix = '', out = {}) => {
+  Object.entries(obj).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (
+      value &&
+      typeof value === 'object' &&
+      !Array.isArray(value) &&
+      Object.keys(value).length
+    ) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  });
+  return out;
+};
+
+const matches = (field, paths) =>
+  paths.some((path) => field === path || field.startsWith(`${path}.`));
+
+// Changed fields between two versions of a document
+const diff = (before, after, { redact = [] }) => {
+  const from = flatten(normalize(before));
+  const to = flatten(normalize(after));
+
+  return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(
+      (field) =>
+        !matches(field, IGNORED_FIELDS) &&
+        JSON.stringify(from[field]) !== JSON.stringify(to[field]),
+    )
+    .map((field) =>
+      matches(field, redact)
+        ? { field, from: REDACTED, to: REDACTED }
+        : { field, from: from[field], to: to[field] },
+    );
+};
+
+const actionOf = (before, after, changes, { fundsFields = [] }) => {
+  if (!before) return 'created';
+  if (!after) return 'deleted';
+  if (changes.some(({ field }) => field === 'status')) return 'status_changed';
+  if (changes.every(({ field }) => matches(field, fundsFields))) {
+    return 'funds_changed';
+  }
+  return 'updated';
+};
+
+// Record the change of each document from before to after (either may be
+// missing for created and deleted documents) in the same session as the
+// change itself
+const record = async (pairs, options, session) => {
+  const actor = actorOf();
+
+  const events = pairs
+    .map(({ before, after }) => {
+      const changes = diff(before, after, options);
+      return {
+        ...actor,
+        entityType: options.entityType,
+        entity: (before || after)._id,
+        action: actionOf(before, after, changes, options),
+        changes,
+      };
+    })
+    .filter((event) => event.changes.length);
+
+  if (events.length) {
+    await AuditEvent.insertMany(events, { session });
+  }
+};
+
+// Mongoose plugin that writes an AuditEvent for every change to a document:
+// saves, update and delete queries alike. The versions before and after the
+// change are read back from the database, in the writer's session, so the
+// audit event commits or aborts together with the change. Options:
+// - entityType: one of AuditEvent.ENTITY_TYPES
+// - redact: fields whose values are never recorded, only that they changed
+// - fundsFields: fields holding balances, see the funds_changed action
+// Documents created by upserts are not recorded.
+exports.audited = (schema, options) => {
+  const readLean = (Model, filter, session) =>
+    Model.find(filter)
+      .session(session || null)
+      .lean();
+
+  schema.pre('save', async function () {
+    this.$locals.auditCreated = this.isNew;
+    if (!this.isNew) {
+      [this.$locals.auditBefore] = await readLean(
+        this.constructor,
+        { _id: this._id },
+        this.$session(),
+      );
+    }
+  });
+
+  schema.post('save', async function () {
+    const [after] = await readLean(
+      this.constructor,
+      { _id: this._id },
+      this.$session(),
+    );
+    const before = this.$locals.auditCreated ? null : this.$locals.auditBefore;
+    this.$locals.auditBefore = undefined;
+
+    await record([{ before, after }], options, this.$session());
+  });
+
+  // Query middleware: remember the matching documents before the query runs
+  async function beforeQuery() {
+    const { session, sort } = this.getOptions();
+    const query = readLean(this.model, this.getFilter(), session);
+    if (!['updateMany', 'deleteMany'].includes(this.op)) {
+      query.sort(sort).limit(1);
+    }
+    this.$auditBefore = await query;
+  }
+
+  const queryOnly = { query: true, document: false };
+  const updates = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+  const deletes = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+  schema.pre(updates, queryOnly, beforeQuery);
+  schema.pre(deletes, queryOnly, beforeQuery);
+
+  schema.post(updates, queryOnly, async function () {
+    const befores = this.$auditBefore || [];
+    if (!befores.length) return;
+
+    const { session } = this.getOptions();
+    const afters = await readLean(
+      this.model,
+      { _id: { $in: befores.map((doc) => doc._id) } },
+      session,
+    );
+    const afterById = new Map(afters.map((doc) => [doc._id.toString(), doc]));
+
+    await record(
+      befores.map((before) => ({
+        before,
+        after: afterById.get(before._id.toString()) || null,
+      })),
+      options,
+      session,
+    );
+  });
+
+  schema.post(deletes, queryOnly, async function () {
+    const befores = this.$auditBefore || [];
+    if (!befores.length) return;
+
+    const { session } = this.getOptions();
+    // Only the ones that are really gone, a guarded delete may have missed
+    const remaining = await readLean(
+      this.model,
+      { _id: { $in: befores.map((doc) => doc._id) } },
+      session,
+    );
+    const remainingIds = remaining.map((doc) => doc._id.toString());
+
+    await record(
+      befores
+        .filter((before) => !remainingIds.includes(before._id.toString()))
+        .map((before) => ({ before, after: null })),
+      options,
+      session,
+    );
+  });
+
+  // doc.deleteOne()
+  schema.post('deleteOne', { document: true, query: false }, async function () {
+    await record(
+      [
+        {
+          before: this.toObject({ depopulate: true, flattenMaps: true }),
+          after: null,
+        },
+      ],
+      options,
+      this.$session(),
+    );
+  });
+};
@@ -0,0 +1,105 @@
+const AutoBidRule = require('../models/autoBidRuleModel');
+const Bid = require('../models/bidModel');
+const User = require('../models/userModal');
+const bidding = require('./bidding');
+const { PLATFORM_CURRENCY } = require('./currency');
+const inSeries = require('./inSeries');
+const logger = require('./logger');
+const marketEvents = require('./marketEvents');
+const runInTransaction = require('./transaction');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Place rule's bid on bill, or resolve with null if it would take the rule
+// over its daily budget in the bill's currency. The budget is checked and the
+// rule updated in the same transaction as the bid: when two bills are sent at
+// once, the second transaction conflicts on the rule and is retried, and then
+// sees the first bid.
+const placeRuleBid = (rule, bill) =>
+  runInTransaction(async (session) => {
+    if (rule.dailyBudget != null) {
+      const amount = round((bill.netAmount * rule.financingPercentage) / 100);
+      const spent = await rule.spentToday(
+        bill.currency || PLATFORM_CURRENCY,
+        session,
+      );
+      if (spent + amount > rule.dailyBudget) return null;
+    }
+
+    const bid = await bidding.placeBid(bill._id, {
+      financerId: rule.financer.toString(),
+      financingPercentage: rule.financingPercentage,
+      interest: rule.interest,
+      terms: rule.terms,
+      autoBidRule: rule._id,
+      session,
+    });
+
+    const now = new Date();
+    await AutoBidRule.updateOne(
+      { _id: rule._id },
+      {
+        lastResult: { bill: bill._id, bid: bid._id, status: 'placed', at: now },
+        lastFiredAt: now,
+        $inc: { timesFired: 1 },
+      },
+      { session },
+    );
+    return bid;
+  });
+
+// Fire one rule at bill and keep the outcome on the rule
+const fire = async (rule, bill) => {
+  const result = { rule: rule._id, financer: rule.financer, bill: bill._id };
+
+  try {
+    const previousLeader = await Bid.findHighestBid(bill._id);
+    const bid = await placeRuleBid(rule, bill);
+    if (bid) {
+      Object.assign(result, { status: 'placed', bid: bid._id });
+      await marketEvents.bidChanged('bid.placed', bid, previousLeader);
+      return result;
+    }
+    Object.assign(result, {
+      status: 'skipped',
+      reason: 'Daily budget would be exceeded',
+    });
+  } catch (err) {
+    if (!err.isOperational) {
+      logger.error(`Auto-bid rule ${rule._id} failed:`, err);
+    }
+    Object.assign(result, {
+      status: 'failed',
+      reason: err.isOperational ? err.message : 'Unexpected error',
+    });
+  }
+
+  await AutoBidRule.updateOne(
+    { _id: rule._id },
+    { lastResult: { ...result, at: new Date() } },
+  );
+  return result;
+};
+
+// Evaluate the active auto-bid rules against a bill that was just sent to the
+// marketplace and place a bid for every one that matches, oldest rule first
+// and at most one per financer. Each bid goes through bidding.placeBid in its
+// own transaction, so one failing (e.g. for lack of funds) does not affect
+// the others. The outcome is kept on each rule, where only its financer sees
+// it, and returned as a report.
+exports.run = async (bill) => {
+  const organization = await User.findById(bill.organization);
+  const sector = organization?.organizationDetails?.businessType;
+
+  const rules = await AutoBidRule.find({ isActive: true }).sort('createdAt');
+  const financers = new Set();
+  const matching = rules.filter((rule) => {
+    const financerId = rule.financer.toString();
+    if (financers.has(financerId) || rule.mismatch(bill, sector)) return false;
+    financers.add(financerId);
+    return true;
+  });
+
+  // One after the other on purpose: bids on the same bill depend on each other
+  return inSeries(matching, (rule) => fire(rule, bill));
+};
@@ -0,0 +1,96 @@
+const Bid = require('../models/bidModel');
+const Bill = require('../models/billModel');
+const BidRevision = require('../models/bidRevisionModel');
+const User = require('../models/userModal');
+const AppError = require('./appError');
+const auction = require('./auction');
+const funds = require('./funds');
+
+// Place a bid for a financer: check the bill is open for financing, create
+// the bid, reserve the financer's funds for it and record it with a running
+// auction. Shared by bidController.placeBid and the auto-bidding rules
+// (autoBidRule is set for the latter). Must run inside a transaction.
+exports.placeBid = async (
+  billId,
+  { financerId, financingPercentage, interest, terms, autoBidRule, session },
+) => {
+  // Validate bill exists and is available for financing
+  const bill = await Bill.findById(billId).session(session);
+  if (!bill) {
+    throw new AppError('No bill found with that ID', 404);
+  }
+
+  if (!bill.isInMarketplace || bill.status !== 'sent') {
+    throw new AppError('Bill is not available for financing', 400);
+  }
+
+  if (bill.financer) {
+    throw new AppError('Bill has already been financed', 400);
+  }
+
+  if (bill.dueDate <= new Date()) {
+    throw new AppError('Cannot bid on overdue bills', 400);
+  }
+
+  // Check if financer already has a bid on this bill
+  const existingBid = await Bid.findOne({
+    bill: billId,
+    financer: financerId,
+  }).session(session);
+  if (existingBid) {
+    throw new AppError('You have already placed a bid on this bill', 400);
+  }
+
+  const isAuction = !!bill.auctionEndsAt;
+  if (isAuction) {
+    await auction.checkBid(
+      bill,
+      { financingPercentage, interest: interest || 0 },
+      { financerId, session },
+    );
+  }
+
+  const [bid] = await Bid.create(
+    [
+      {
+        bill: billId,
+        financer: financerId,
+        financingPercentage,
+        terms,
+        interest: interest || 0,
+        autoBidRule,
+        // Auction bids live until the auction has been awarded
+        expiresAt: isAuction ? auction.bidExpiry(bill) : undefined,
+      },
+    ],
+    { session },
+  );
+
+  // Reserve the financer's funds for the bid together with it
+  await funds.placeHold(
+    {
+      financer: financerId,
+      bid: bid._id,
+      bill: billId,
+      amount: bid.bidAmount,
+      currency: bid.currency,
+    },
+    session,
+  );
+
+  if (isAuction) await auction.recordBid(bill, session);
+
+  await BidRevision.record(
+    bid,
+    { action: 'placed', changedBy: financerId },
+    session,
+  );
+
+  await User.updateOne(
+    { _id: financerId },
+    { $inc: { 'stats.totalBidsPlaced': 1 } },
+    { session },
+  );
+
+  return bid;
+};
@@ -0,0 +1,81 @@
+const Bill = require('../models/billModel');
+const AppError = require('./appError');
+const financing = require('./financing');
+const transitions = require('./billTransitions');
+
+// Transitions of a bill open to user: every transition from its current
+// status user is a party to, whether its guard lets it through right now
+// (allowed, or the reason it doesn't), and where to carry it out
+exports.availableTransitions = (bill, user) =>
+  transitions.TRANSITIONS.filter(
+    (el) =>
+      el.from.includes(bill.status) && transitions.isParty(el.by, bill, user),
+  ).map((el) => {
+    const reason = el.guard ? el.guard(bill) : null;
+    return {
+      action: el.action,
+      to: transitions.targetOf(el, bill),
+      allowed: !reason,
+      reason: reason || undefined,
+      endpoint:
+        el.endpoint || `PATCH /api/v1/bills/:id/transitions/${el.action}`,
+    };
+  });
+
+// Move a bill that was read in session to status, along with the fields
+// entering it sets and any other update. Only applies if the status, and
+// anything else in filter, is still the one read. The caller checks the
+// transition first.
+exports.apply = async (bill, status, { reason, update, filter, session }) => {
+  const updatedBill = await Bill.findOneAndUpdate(
+    { ...filter, _id: bill._id, status: bill.status },
+    {
+      status,
+      statusReason: reason || null,
+      ...transitions.entryUpdate(status, bill),
+      ...update,
+    },
+    { new: true, runValidators: true, session },
+  );
+  if (!updatedBill) {
+    throw new AppError('Bill was updated concurrently, please try again', 409);
+  }
+
+  return updatedBill;
+};
+
+// Carry out a transition that has no endpoint of its own, e.g. cancel, void
+// or write_off. Must run inside a transaction (see utils/transaction.js).
+// Resolves with the updated bill, the status it came from and the ids of the
+// pending bids rejected because of it.
+exports.transition = async (billId, action, { user, reason, session }) => {
+  const bill = await Bill.findById(billId).session(session);
+
+  if (!bill) {
+    throw new AppError('No bill found with that ID', 404);
+  }
+
+  const transition = transitions.check(bill, action, user);
+  if (transition.endpoint) {
+    throw new AppError(
+      `Use ${transition.endpoint} to ${action.replace(/_/g, ' ')} a bill`,
+      400,
+    );
+  }
+
+  const updatedBill = await exports.apply(
+    bill,
+    transitions.targetOf(transition, bill),
+    {
+      reason,
+      update: transition.update && transition.update(bill),
+      session,
+    },
+  );
+
+  const rejectedBids = transition.rejectsBids
+    ? await financing.rejectPendingBids(bill._id, session)
+    : [];
+
+  return { bill: updatedBill, from: bill.status, rejectedBids };
+};
@@ -0,0 +1,256 @@
+const PDFDocument = require('pdfkit');
+
+const MARGIN = 50;
+const PAGE_WIDTH = 612; // US Letter, in points
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const money = (value) =>
+  Number(value || 0).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+      })
+    : '-';
+
+const addressLines = (address) => {
+  if (!address) return [];
+  const cityLine = [address.city, address.state, address.zipCode]
+    .filter(Boolean)
+    .join(', ');
+  return [address.street, cityLine, address.country].filter(Boolean);
+};
+
+const partyName = (user, details) =>
+  (user && user[details] && user[details].companyName) || (user && user.name);
+
+// Columns of the line item table: [label, x offset, width, align]
+const COLUMNS = [
+  ['Description', 0, 200, 'left'],
+  ['Qty', 200, 45, 'right'],
+  ['Unit price', 245, 75, 'right'],
+  ['Discount', 320, 55, 'right'],
+  ['Tax', 375, 50, 'right'],
+  ['Total', 425, 87, 'right'],
+];
+
+const tableRow = (doc, values, { bold = false } = {}) => {
+  const { y } = doc;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+
+  let height = 0;
+  COLUMNS.forEach(([, x, width, align], i) => {
+    doc.text(values[i], MARGIN + x, y, { width, align });
+    height = Math.max(height, doc.y - y);
+  });
+
+  doc.x = MARGIN;
+  doc.y = y + height + 6;
+};
+
+const rule = (doc) => {
+  doc
+    .moveTo(MARGIN, doc.y)
+    .lineTo(PAGE_WIDTH - MARGIN, doc.y)
+    .strokeColor('#cccccc')
+    .stroke();
+  doc.moveDown(0.5);
+};
+
+const totalLine = (doc, label, value, { bold = false } = {}) => {
+  const { y } = doc;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+  doc.text(label, MARGIN + 300, y, { width: 125, align: 'right' });
+  doc.text(money(value), MARGIN + 425, y, { width: 87, align: 'right' });
+  doc.x = MARGIN;
+};
+
+const header = (doc, bill) => {
+  const org = bill.organization;
+  const details = org.organizationDetails || {};
+  const top = doc.y;
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(16)
+    .text(partyName(org, 'organizationDetails'), MARGIN, top, { width: 300 });
+  doc.font('Helvetica').fontSize(9);
+  [...addressLines(details.address), org.email]
+    .concat(details.taxId ? [`Tax ID: ${details.taxId}`] : [])
+    .forEach((line) => doc.text(line, { width: 300 }));
+  const leftBottom = doc.y;
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(22)
+    .text('INVOICE', MARGIN + 300, top, { width: 212, align: 'right' });
+  doc.font('Helvetica').fontSize(9);
+  [
+    `Invoice no. ${bill.billNumber}`,
+    `Issue date: ${formatDate(bill.sentAt || bill.createdAt)}`,
+    `Due date: ${formatDate(bill.dueDate)}`,
+  ].forEach((line) => doc.text(line, { width: 212, align: 'right' }));
+
+  doc.x = MARGIN;
+  doc.y = Math.max(leftBottom, doc.y) + 20;
+};
+
+const billTo = (doc, bill) => {
+  const { customer } = bill;
+  const details = customer.customerDetails || {};
+
+  doc.font('Helvetica-Bold').fontSize(10).text('Bill to');
+  doc.font('Helvetica').fontSize(9);
+  [customer.name, ...addressLines(details.address), customer.email]
+    .concat(details.phone ? [details.phone] : [])
+    .forEach((line) => doc.text(line));
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(11).text(bill.title);
+  doc.font('Helvetica').fontSize(9).text(bill.description);
+  doc.moveDown();
+};
+
+const lineItems = (doc, bill) => {
+  tableRow(
+    doc,
+    COLUMNS.map(([label]) => label),
+    { bold: true },
+  );
+  rule(doc);
+
+  if (bill.lineItems && bill.lineItems.length) {
+    bill.lineItems.forEach((item) =>
+      tableRow(doc, [
+        item.description,
+        `${item.quantity}`,
+        money(item.unitPrice),
+        item.discountRate ? `${item.discountRate}%` : '-',
+        item.taxRate ? `${item.taxRate}%` : '-',
+        money(item.total),
+      ]),
+    );
+  } else {
+    tableRow(doc, [
+      bill.title,
+      '1',
+      money(bill.amount),
+      '-',
+      '-',
+      money(bill.amount),
+    ]);
+  }
+  rule(doc);
+
+  if (bill.lineItems && bill.lineItems.length) {
+    totalLine(doc, 'Subtotal', bill.subtotal);
+    if (bill.discountTotal) totalLine(doc, 'Discounts', -bill.discountTotal);
+    totalLine(doc, 'Tax', bill.taxTotal);
+  }
+  totalLine(doc, 'Total', bill.amount, { bold: true });
+  if (bill.amountPaid > 0 || bill.creditedAmount > 0) {
+    if (bill.creditedAmount) totalLine(doc, 'Credited', -bill.creditedAmount);
+    if (bill.amountPaid) totalLine(doc, 'Paid', -bill.amountPaid);
+    totalLine(doc, 'Amount due', bill.outstanding, { bold: true });
+  }
+  doc.moveDown(2);
+};
+
+const installments = (doc, bill) => {
+  if (!bill.installments || !bill.installments.length) return;
+
+  doc.font('Helvetica-Bold').fontSize(10).text('Installment plan');
+  doc.font('Helvetica').fontSize(9);
+  bill.installmentSchedule.forEach((installment, i) =>
+    doc.text(
+      `${i + 1}. ${formatDate(installment.dueDate)}: ${money(installment.amount)} (${installment.status})`,
+    ),
+  );
+  doc.moveDown();
+};
+
+const paymentInstructions = (doc, bill) => {
+  const bank = bill.organization.organizationDetails?.bankDetails || {};
+
+  doc.font('Helvetica-Bold').fontSize(10).text('Payment instructions');
+  doc.font('Helvetica').fontSize(9);
+  doc.text(
+    `Please pay by ${formatDate(bill.dueDate)} quoting invoice no. ${bill.billNumber}.`,
+  );
+
+  if (bill.financer) {
+    doc.text(
+      'Payment must be made through the invoice financing platform, which forwards it to the assignee named below.',
+    );
+  } else if (bank.accountNumber) {
+    [
+      bank.bankName && `Bank: ${bank.bankName}`,
+      `Account number: ${bank.accountNumber}`,
+      bank.routingNumber && `Routing number: ${bank.routingNumber}`,
+    ]
+      .filter(Boolean)
+      .forEach((line) => doc.text(line));
+  } else {
+    doc.text('Payment can be made through the invoice financing platform.');
+  }
+  doc.moveDown();
+};
+
+const noticeOfAssignment = (doc, bill) => {
+  if (!bill.financer) return;
+
+  const assignee = partyName(bill.financer, 'financerDetails');
+
+  doc.moveDown();
+  const top = doc.y;
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(10)
+    .text('NOTICE OF ASSIGNMENT', MARGIN + 10, top + 10, {
+      width: CONTENT_WIDTH - 20,
+    });
+  doc
+    .font('Helvetica')
+    .fontSize(9)
+    .text(
+      `The receivable represented by this invoice has been assigned to ${assignee}${bill.financedAt ? ` on ${formatDate(bill.financedAt)}` : ''}. Payment discharges this invoice only if made as instructed above; payment made directly to ${partyName(bill.organization, 'organizationDetails')} will not.`,
+      { width: CONTENT_WIDTH - 20 },
+    );
+  const bottom = doc.y + 10;
+  doc
+    .rect(MARGIN, top, CONTENT_WIDTH, bottom - top)
+    .strokeColor('#000000')
+    .stroke();
+  doc.x = MARGIN;
+  doc.y = bottom;
+};
+
+// Render a bill as a printable invoice onto a writable stream (e.g. the
+// response). The bill needs organization, customer and financer populated
+// with their contact and role details.
+module.exports = (bill, stream) => {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: MARGIN,
+    info: {
+      Title: `Invoice ${bill.billNumber}`,
+      Author: partyName(bill.organization, 'organizationDetails'),
+    },
+  });
+  doc.pipe(stream);
+
+  header(doc, bill);
+  billTo(doc, bill);
+  lineItems(doc, bill);
+  installments(doc, bill);
+  paymentInstructions(doc, bill);
+  noticeOfAssignment(doc, bill);
+
+  doc.end();
+};
@@ -0,0 +1,267 @@
+const AppError = require('./appError');
+
+// The bill lifecycle in one place. Every status change of a bill, whether
+// through save() or an update query, must follow one of the TRANSITIONS
+// below; the bill model rejects anything else. Carrying out transitions is
+// left to utils/billLifecycle.js and the flows with their own endpoints.
+//
+//   draft -> sent
+//   sent -> partially_paid, financed
+//   sent, partially_paid, financed -> overdue
+//   sent, partially_paid, financed, overdue, defaulted -> paid
+//   financed, overdue -> defaulted
+//   sent, partially_paid, financed, overdue <-> disputed
+//   disputed -> cancelled (when the dispute is resolved that way)
+//   sent -> cancelled, void
+//   sent, partially_paid, financed, overdue -> credited
+//   overdue, defaulted -> written_off
+
+// What entering each status does to the bill: stamp is a date field set the
+// first time the bill gets there, set are fields set every time.
+const STATES = {
+  draft: { editable: true },
+  sent: { stamp: 'sentAt', set: { isInMarketplace: true } },
+  partially_paid: { set: { isInMarketplace: false } },
+  financed: { stamp: 'financedAt', set: { isInMarketplace: false } },
+  overdue: { set: { isInMarketplace: false } },
+  paid: {
+    stamp: 'paidAt',
+    set: { isActive: false, isInMarketplace: false },
+  },
+  disputed: { stamp: 'disputedAt', set: { isInMarketplace: false } },
+  // Nothing left to pay once credit notes cover what was outstanding
+  credited: {
+    stamp: 'creditedAt',
+    set: { isActive: false, isInMarketplace: false },
+  },
+  // Issued by mistake and withdrawn, as if never sent
+  void: {
+    stamp: 'voidedAt',
+    set: { isActive: false, isInMarketplace: false },
+  },
+  cancelled: {
+    stamp: 'cancelledAt',
+    set: { isActive: false, isInMarketplace: false },
+  },
+  defaulted: { stamp: 'defaultedAt', set: { isInMarketplace: false } },
+  written_off: {
+    stamp: 'writtenOffAt',
+    set: { isActive: false, isInMarketplace: false },
+  },
+};
+
+const STATUSES = Object.keys(STATES);
+
+const isPastDue = (bill) => bill.dueDate < new Date();
+
+// Transitions and who may make them. by lists the parties allowed:
+// organization, customer and financer of the bill, its currentOwner (owner),
+// any admin, or the platform itself (system, e.g. background jobs).
+// guard(bill) returns why the transition is not possible right now, if it
+// isn't. Transitions with an endpoint are carried out there; the others go
+// through PATCH /bills/:id/transitions/:action. rejectsBids: pending bids are
+// rejected because the bill can no longer be financed.
+const TRANSITIONS = [
+  {
+    action: 'send',
+    from: ['draft'],
+    to: 'sent',
+    by: ['organization'],
+    endpoint: 'PATCH /api/v1/bills/send/:id',
+    guard: (bill) =>
+      bill.auctionEndsAt && bill.auctionEndsAt <= new Date()
+        ? 'Auction end must be in the future'
+        : null,
+  },
+  {
+    action: 'finance',
+    from: ['sent'],
+    to: 'financed',
+    // Also when the financer accepts the organization's counter-offer on
+    // their bid, and when the system awards an auction
+    by: ['organization', 'system'],
+    endpoint: 'PATCH /api/v1/bids/accept/:bidId',
+    guard: (bill) => (bill.financer ? 'Bill has already been financed' : null),
+  },
+  {
+    action: 'pay_partially',
+    from: ['sent'],
+    to: 'partially_paid',
+    by: ['customer'],
+    endpoint: 'PATCH /api/v1/bills/pay/:id',
+  },
+  {
+    // Defaulted bills can still be recovered
+    action: 'pay',
+    from: ['sent', 'partially_paid', 'financed', 'overdue', 'defaulted'],
+    to: 'paid',
+    by: ['customer'],
+    endpoint: 'PATCH /api/v1/bills/pay/:id',
+  },
+  {
+    action: 'mark_overdue',
+    from: ['sent', 'partially_paid', 'financed'],
+    to: 'overdue',
+    by: ['system'],
+    rejectsBids: true,
+    guard: (bill) => (isPastDue(bill) ? null : 'Bill is not past due'),
+  },
+  {
+    // Pending bids stay but are frozen: nothing can be bid, accepted or
+    // paid until the dispute is resolved (see utils/disputes.js)
+    action: 'dispute',
+    from: ['sent', 'partially_paid', 'financed', 'overdue'],
+    to: 'disputed',
+    by: ['customer'],
+    endpoint: 'POST /api/v1/disputes',
+    update: (bill) => ({ statusBeforeDispute: bill.status }),
+  },
+  {
+    action: 'resolve_dispute',
+    from: ['disputed'],
+    // Back to where the bill was when it was disputed, or cancelled
+    to: ['sent', 'partially_paid', 'financed', 'overdue', 'cancelled'],
+    target: (bill) => bill.statusBeforeDispute,
+    by: ['organization', 'admin'],
+    endpoint: 'PATCH /api/v1/disputes/:disputeId/resolve',
+    update: () => ({ statusBeforeDispute: null }),
+  },
+  {
+    action: 'cancel',
+    from: ['sent'],
+    to: 'cancelled',
+    by: ['organization', 'admin'],
+    rejectsBids: true,
+    guard: (bill) => {
+      if (bill.financer) return 'Financed bills cannot be cancelled';
+      if (bill.payments.length) {
+        return 'Bills with payments cannot be cancelled';
+      }
+      return null;
+    },
+  },
+  {
+    action: 'void',
+    from: ['sent'],
+    to: 'void',
+    by: ['organization'],
+    rejectsBids: true,
+    guard: (bill) => {
+      if (bill.financer) {
+        return 'Financed bills cannot be voided, issue a credit note instead';
+      }
+      if (bill.payments.length) {
+        return 'Bills with payments cannot be voided, issue a credit note instead';
+      }
+      return null;
+    },
+  },
+  {
+    // Only credit notes for everything still outstanding close the bill,
+    // smaller ones leave its status as it is (see utils/creditNotes.js)
+    action: 'credit',
+    from: ['sent', 'partially_paid', 'financed', 'overdue'],
+    to: 'credited',
+    by: ['organization'],
+    endpoint: 'POST /api/v1/bills/:id/credit-notes',
+  },
+  {
+    action: 'mark_defaulted',
+    from: ['financed', 'overdue'],
+    to: 'defaulted',
+    by: ['owner', 'admin'],
+    rejectsBids: true,
+    guard: (bill) => (isPastDue(bill) ? null : 'Bill is not past due'),
+  },
+  {
+    action: 'write_off',
+    from: ['overdue', 'defaulted'],
+    to: 'written_off',
+    by: ['owner', 'admin'],
+    rejectsBids: true,
+  },
+];
+
+const targetsOf = (transition) =>
+  Array.isArray(transition.to) ? transition.to : [transition.to];
+
+exports.findTransition = (action) =>
+  TRANSITIONS.find((el) => el.action === action);
+
+// Whether some transition takes a bill from one status to the other
+exports.isAllowed = (from, to) =>
+  TRANSITIONS.some(
+    (el) => el.from.includes(from) && targetsOf(el).includes(to),
+  );
+
+exports.assertAllowed = (from, to) => {
+  if (from !== to && !exports.isAllowed(from, to)) {
+    throw new AppError(`A ${from} bill cannot become ${to}`, 400);
+  }
+};
+
+// Status a transition takes the bill to
+exports.targetOf = (transition, bill) =>
+  transition.target ? transition.target(bill) : transition.to;
+
+// Whether user is one of the parties in by; works for populated references.
+// The system party is never a user.
+exports.isParty = (by, bill, user) => {
+  const parties = {
+    organization: bill.organization,
+    customer: bill.customer,
+    financer: bill.financer,
+    owner: bill.currentOwner || bill.organization,
+  };
+
+  return by.some((party) =>
+    party === 'admin'
+      ? user.role === 'admin'
+      : !!parties[party] &&
+        (parties[party]._id || parties[party]).toString() === user.id,
+  );
+};
+
+// Check that user may take action on bill now. Throws an AppError saying why
+// not otherwise.
+exports.check = (bill, action, user) => {
+  const transition = exports.findTransition(action);
+  if (!transition) {
+    throw new AppError(`Unknown bill action: ${action}`, 400);
+  }
+  if (!transition.from.includes(bill.status)) {
+    throw new AppError(
+      `Cannot ${action.replace(/_/g, ' ')} a ${bill.status} bill`,
+      400,
+    );
+  }
+  if (user && !exports.isParty(transition.by, bill, user)) {
+    throw new AppError(
+      `You are not allowed to ${action.replace(/_/g, ' ')} this bill`,
+      403,
+    );
+  }
+  const reason = transition.guard && transition.guard(bill);
+  if (reason) {
+    throw new AppError(reason, 400);
+  }
+
+  return transition;
+};
+
+// Fields set every time a bill enters status
+exports.entryFlags = (status) => ({ ...STATES[status]?.set });
+
+// Fields to set when a bill enters status, on top of the status itself.
+// Stamps already present on the bill are kept.
+exports.entryUpdate = (status, bill) => {
+  const update = exports.entryFlags(status);
+  const { stamp } = STATES[status] || {};
+  if (stamp && !bill[stamp]) update[stamp] = new Date();
+  return update;
+};
+
+exports.isEditable = (status) => !!STATES[status]?.editable;
+
+exports.STATUSES = STATUSES;
+exports.TRANSITIONS = TRANSITIONS;
@@ -0,0 +1,107 @@
+const Bill = require('../models/billModel');
+const CreditNote = require('../models/creditNoteModel');
+const AppError = require('./appError');
+const transitions = require('./billTransitions');
+const lifecycle = require('./billLifecycle');
+const financing = require('./financing');
+const settlement = require('./settlement');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Issue a credit note against a sent bill as its organization, for amount or
+// everything still outstanding. The customer owes that much less; a credit
+// note for all of it closes the bill as credited. On financed bills what
+// remains outstanding must still repay the financer. Pending bids on bills
+// that are not financed yet are rejected, they were sized for the old
+// amount. Must run inside a transaction. Resolves with the credit note, the
+// updated bill, the status it came from and the ids of the rejected bids.
+exports.issue = async (billId, { user, amount, reason, session }) => {
+  const bill = await Bill.findById(billId).session(session);
+
+  if (!bill) {
+    throw new AppError('No bill found with that ID', 404);
+  }
+
+  transitions.check(bill, 'credit', user);
+  if (!reason || !String(reason).trim()) {
+    throw new AppError('Please give a reason for the credit note', 400);
+  }
+
+  // Credit whatever is outstanding unless told otherwise
+  const creditAmount = amount === undefined ? bill.outstanding : round(amount);
+  if (!(creditAmount > 0)) {
+    throw new AppError('Credit note amount must be positive', 400);
+  }
+  if (creditAmount > bill.outstanding) {
+    throw new AppError(
+      `Credit note exceeds the outstanding amount of ${bill.outstanding}`,
+      400,
+    );
+  }
+
+  if (bill.financer) {
+    const owed = await settlement.financerOwed(bill, session);
+    if (round(bill.outstanding - creditAmount) < owed) {
+      throw new AppError(
+        `${owed} of the outstanding amount is owed to the financer, the credit note can be at most ${Math.max(0, round(bill.outstanding - owed))}`,
+        400,
+      );
+    }
+  }
+
+  const full = creditAmount === bill.outstanding;
+  const update = { creditedAmount: round(bill.creditedAmount + creditAmount) };
+  // Like payments, only on top of the state read
+  const filter = {
+    creditedAmount: bill.creditedAmount,
+    [`payments.${bill.payments.length}`]: { $exists: false },
+  };
+
+  let updatedBill;
+  if (full) {
+    updatedBill = await lifecycle.apply(bill, 'credited', {
+      reason,
+      update,
+      filter,
+      session,
+    });
+  } else {
+    updatedBill = await Bill.findOneAndUpdate(
+      { ...filter, _id: bill._id, status: bill.status },
+      update,
+      { new: true, runValidators: true, session },
+    );
+    if (!updatedBill) {
+      throw new AppError(
+        'Bill was updated concurrently, please try again',
+        409,
+      );
+    }
+  }
+
+  const rejectedBids = bill.financer
+    ? []
+    : await financing.rejectPendingBids(bill._id, session);
+
+  const count = await CreditNote.countDocuments({ bill: bill._id }).session(
+    session,
+  );
+  const [creditNote] = await CreditNote.create(
+    [
+      {
+        creditNoteNumber: `${bill.billNumber}-CN${count + 1}`,
+        bill: bill._id,
+        organization: bill.organization,
+        customer: bill.customer,
+        amount: creditAmount,
+        currency: bill.currency,
+        reason,
+        full,
+        issuedBy: user._id,
+      },
+    ],
+    { session },
+  );
+
+  return { creditNote, bill: updatedBill, from: bill.status, rejectedBids };
+};
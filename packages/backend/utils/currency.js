@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const AppError = require('./appError');
+
+// Currencies bills, bids and funds can be held in
+const CURRENCIES = [
+  'USD',
+  'EUR',
+  'GBP',
+  'INR',
+  'JPY',
+  'CNY',
+  'CAD',
+  'AUD',
+  'SGD',
+  'AED',
+  'CHF',
+];
+
+// Currency of bills and balances that don't name one, and the currency FX
+// rates are quoted against (see models/fxRateModel.js)
+const PLATFORM_CURRENCY = process.env.PLATFORM_CURRENCY || 'USD';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Rates of all configured currencies: value of one unit in the platform
+// currency
+exports.getRates = async () => {
+  const rates = { [PLATFORM_CURRENCY]: 1 };
+  const fxRates = await mongoose.model('FxRate').find();
+  fxRates.forEach((el) => {
+    rates[el.currency] = el.rate;
+  });
+  return rates;
+};
+
+exports.convert = (amount, from, to, rates) => {
+  const source = from || PLATFORM_CURRENCY;
+  if (source === to) return amount;
+
+  [source, to].forEach((currency) => {
+    if (!rates[currency]) {
+      throw new AppError(`No exchange rate configured for ${currency}`, 400);
+    }
+  });
+
+  return round((amount * rates[source]) / rates[to]);
+};
+
+// Currency to report amounts in: ?currency= or the user's base currency
+exports.reportingCurrency = (req) => {
+  const currency = (
+    req.query.currency ||
+    req.user.baseCurrency ||
+    PLATFORM_CURRENCY
+  ).toUpperCase();
+
+  if (!CURRENCIES.includes(currency)) {
+    throw new AppError(`Unsupported currency: ${currency}`, 400);
+  }
+  return currency;
+};
+
+// Aggregation expression for a document's currency, defaulting old documents
+exports.currencyOf = (field = '$currency') => ({
+  $ifNull: [field, PLATFORM_CURRENCY],
+});
+
+// Merge $group results that were split by currency (_id: { currency, [key] })
+// back into one result per key, converting the money fields to the target
+// currency. count-like fields are added up, max/min fields compared.
+exports.mergeByCurrency = (
+  groups,
+  { key, money = [], sum = [], max = [], min = [] },
+  to,
+  rates,
+) => {
+  const merged = new Map();
+
+  groups.forEach((group) => {
+    const id = key ? group._id[key] : null;
+    if (!merged.has(id)) merged.set(id, { _id: id });
+    const result = merged.get(id);
+
+    money.forEach((field) => {
+      result[field] = round(
+        (result[field] || 0) +
+          exports.convert(group[field] || 0, group._id.currency, to, rates),
+      );
+    });
+    sum.forEach((field) => {
+      result[field] = (result[field] || 0) + (group[field] || 0);
+    });
+    max.forEach((field) => {
+      result[field] = Math.max(result[field] ?? -Infinity, group[field]);
+    });
+    min.forEach((field) => {
+      result[field] = Math.min(result[field] ?? Infinity, group[field]);
+    });
+  });
+
+  return [...merged.values()];
+};
+
+// Count and total amount per status of the documents matching match,
+// converted to the reporting currency
+exports.statusTotals = async (Model, match, amountField, to, rates) => {
+  const groups = await Model.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { status: '$status', currency: exports.currencyOf() },
+        count: { $sum: 1 },
+        totalAmount: { $sum: amountField },
+      },
+    },
+  ]);
+
+  return exports.mergeByCurrency(
+    groups,
+    { key: 'status', money: ['totalAmount'], sum: ['count'] },
+    to,
+    rates,
+  );
+};
+
+exports.CURRENCIES = CURRENCIES;
+exports.PLATFORM_CURRENCY = PLATFORM_CURRENCY;
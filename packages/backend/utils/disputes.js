@@ -0,0 +1,275 @@
+const Bill = require('../models/billModel');
+const Dispute = require('../models/disputeModel');
+const AppError = require('./appError');
+const transitions = require('./billTransitions');
+const lifecycle = require('./billLifecycle');
+const financing = require('./financing');
+
+const MAX_EVIDENCE = 20;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Evidence items as sent by a client: [{ url, description }]
+const toEvidence = (items, user) => {
+  if (items === undefined) return [];
+  if (!Array.isArray(items)) {
+    throw new AppError('evidence must be a list of { url, description }', 400);
+  }
+
+  return items.map((item) => ({
+    url: item && item.url,
+    description: item && item.description,
+    uploadedBy: user._id,
+    uploadedAt: new Date(),
+  }));
+};
+
+const findDispute = async (disputeId, session) => {
+  const dispute = await Dispute.findById(disputeId).session(session || null);
+
+  if (!dispute) {
+    throw new AppError('No dispute found with that ID', 404);
+  }
+  return dispute;
+};
+
+// Open a dispute of a sent or financed bill as its customer. The bill
+// becomes disputed, which takes it off the marketplace and freezes bidding,
+// negotiation and payments. Must run inside a transaction. Resolves with the
+// dispute and the updated bill.
+exports.open = async (
+  billId,
+  { user, reason, description, evidence, session },
+) => {
+  const bill = await Bill.findById(billId).session(session);
+
+  if (!bill) {
+    throw new AppError('No bill found with that ID', 404);
+  }
+
+  const transition = transitions.check(bill, 'dispute', user);
+  if (!reason || !String(reason).trim()) {
+    throw new AppError('Please give a reason for the dispute', 400);
+  }
+
+  const items = toEvidence(evidence, user);
+  if (items.length > MAX_EVIDENCE) {
+    throw new AppError(
+      `A dispute can have at most ${MAX_EVIDENCE} pieces of evidence`,
+      400,
+    );
+  }
+
+  const updatedBill = await lifecycle.apply(bill, transition.to, {
+    reason,
+    update: transition.update(bill),
+    session,
+  });
+
+  const [dispute] = await Dispute.create(
+    [
+      {
+        bill: bill._id,
+        customer: bill.customer,
+        organization: bill.organization,
+        financer: bill.financer,
+        reason,
+        description,
+        evidence: items,
+      },
+    ],
+    { session },
+  );
+
+  return { dispute, bill: updatedBill };
+};
+
+// Add evidence to a dispute that is not resolved yet. Any party of the
+// dispute may, e.g. the organization to back its side.
+exports.addEvidence = async (disputeId, { user, evidence }) => {
+  const dispute = await findDispute(disputeId);
+
+  if (!dispute.isVisibleTo(user)) {
+    throw new AppError('You are not a party to this dispute', 403);
+  }
+  if (dispute.status === 'resolved') {
+    throw new AppError('Dispute has already been resolved', 400);
+  }
+
+  const items = toEvidence(evidence, user);
+  if (!items.length) {
+    throw new AppError('Please provide some evidence', 400);
+  }
+  if (dispute.evidence.length + items.length > MAX_EVIDENCE) {
+    throw new AppError(
+      `A dispute can have at most ${MAX_EVIDENCE} pieces of evidence`,
+      400,
+    );
+  }
+
+  // Guarded on the evidence count read, like payments in financing.payBill
+  const updatedDispute = await Dispute.findOneAndUpdate(
+    {
+      _id: dispute._id,
+      status: { $ne: 'resolved' },
+      [`evidence.${dispute.evidence.length}`]: { $exists: false },
+    },
+    { $push: { evidence: { $each: items } } },
+    { new: true, runValidators: true },
+  );
+  if (!updatedDispute) {
+    throw new AppError(
+      'Dispute was updated concurrently, please try again',
+      409,
+    );
+  }
+
+  return updatedDispute;
+};
+
+// Hand an open dispute over to the platform's admins, e.g. when the
+// organization and customer cannot agree. Only admins can resolve it after.
+exports.escalate = async (disputeId, { user, reason }) => {
+  const dispute = await findDispute(disputeId);
+
+  if (user.role === 'admin' || !dispute.isVisibleTo(user)) {
+    throw new AppError('Only parties to a dispute can escalate it', 403);
+  }
+  if (dispute.status !== 'open') {
+    throw new AppError('Only open disputes can be escalated', 400);
+  }
+
+  const updatedDispute = await Dispute.findOneAndUpdate(
+    { _id: dispute._id, status: 'open' },
+    {
+      status: 'escalated',
+      escalatedAt: new Date(),
+      escalatedBy: user._id,
+      escalationReason: reason,
+    },
+    { new: true, runValidators: true },
+  );
+  if (!updatedDispute) {
+    throw new AppError(
+      'Dispute was updated concurrently, please try again',
+      409,
+    );
+  }
+
+  return updatedDispute;
+};
+
+// The new amount of a bill whose dispute is settled by lowering it
+const checkAdjustedAmount = (bill, amount) => {
+  if (bill.lineItems.length || bill.installments.length) {
+    throw new AppError(
+      'Bills with line items or installments cannot have their amount adjusted, cancel the bill instead',
+      400,
+    );
+  }
+
+  const adjustedAmount = round(Number(amount));
+  if (!(adjustedAmount > 0)) {
+    throw new AppError('Please provide the adjusted amount', 400);
+  }
+  if (adjustedAmount >= bill.amount) {
+    throw new AppError(
+      `Adjusted amount must be below the bill amount of ${bill.amount}`,
+      400,
+    );
+  }
+  const settled = round(bill.amountPaid + bill.creditedAmount);
+  if (adjustedAmount <= settled) {
+    throw new AppError(
+      `Adjusted amount must be above the ${settled} already paid or credited`,
+      400,
+    );
+  }
+  // The financer's advance has been paid out and is owed in full
+  if (bill.financer && adjustedAmount < bill.financedAmount) {
+    throw new AppError(
+      `Adjusted amount cannot be below the financed amount of ${bill.financedAmount}`,
+      400,
+    );
+  }
+
+  return adjustedAmount;
+};
+
+// Resolve a dispute. The organization may while it is open, only admins
+// once it has been escalated. outcome is one of:
+// - reject: the bill goes back to the status it had before the dispute
+// - adjust_amount: the same, with its amount lowered to amount
+// - cancel_bill: the bill is cancelled, if it could have been before
+// Pending bids on the bill are rejected unless it goes back unchanged, since
+// they were made for the old amount. Must run inside a transaction. Resolves
+// with the dispute, the updated bill and the ids of the rejected bids.
+exports.resolve = async (
+  disputeId,
+  { user, outcome, amount, note, session },
+) => {
+  const dispute = await findDispute(disputeId, session);
+
+  if (dispute.status === 'resolved') {
+    throw new AppError('Dispute has already been resolved', 400);
+  }
+  if (dispute.status === 'escalated' && user.role !== 'admin') {
+    throw new AppError(
+      'Escalated disputes can only be resolved by an admin',
+      403,
+    );
+  }
+  if (!Dispute.OUTCOMES.includes(outcome)) {
+    throw new AppError(
+      `outcome must be one of: ${Dispute.OUTCOMES.join(', ')}`,
+      400,
+    );
+  }
+
+  const bill = await Bill.findById(dispute.bill).session(session);
+  const transition = transitions.check(bill, 'resolve_dispute', user);
+
+  let status = transitions.targetOf(transition, bill);
+  const update = transition.update(bill);
+  const resolution = {
+    outcome,
+    note,
+    resolvedBy: user._id,
+    resolvedAt: new Date(),
+  };
+
+  if (outcome === 'adjust_amount') {
+    update.amount = checkAdjustedAmount(bill, amount);
+    resolution.originalAmount = bill.amount;
+    resolution.adjustedAmount = update.amount;
+  } else if (outcome === 'cancel_bill') {
+    const reason = transitions.findTransition('cancel').guard(bill);
+    if (reason) throw new AppError(reason, 400);
+    status = 'cancelled';
+  }
+
+  const updatedBill = await lifecycle.apply(bill, status, {
+    reason: note,
+    update,
+    session,
+  });
+
+  const rejectedBids =
+    outcome === 'reject'
+      ? []
+      : await financing.rejectPendingBids(bill._id, session);
+
+  const resolvedDispute = await Dispute.findOneAndUpdate(
+    { _id: dispute._id, status: dispute.status },
+    { status: 'resolved', resolution },
+    { new: true, runValidators: true, session },
+  );
+  if (!resolvedDispute) {
+    throw new AppError(
+      'Dispute was updated concurrently, please try again',
+      409,
+    );
+  }
+
+  return { dispute: resolvedDispute, bill: updatedBill, rejectedBids };
+};
@@ -0,0 +1,36 @@
+const { EventEmitter } = require('events');
+
+// In-process bus for real-time events, streamed to clients by
+// controllers/eventController.js. Only reaches clients connected to this
+// process.
+const bus = new EventEmitter();
+// One listener per open event stream
+bus.setMaxListeners(0);
+
+let lastId = 0;
+
+// Publish an event to the given users and/or everyone with one of the given
+// roles. Publish only after the change it reports has been committed.
+exports.publish = (type, data, { users = [], roles = [] } = {}) => {
+  lastId += 1;
+  bus.emit('event', {
+    id: lastId,
+    type,
+    data,
+    users: users.filter(Boolean).map((el) => el.toString()),
+    roles,
+  });
+};
+
+// Call listener with every event user may see. Returns the unsubscribe
+// function.
+exports.subscribe = (user, listener) => {
+  const onEvent = (event) => {
+    if (event.users.includes(user.id) || event.roles.includes(user.role)) {
+      listener(event);
+    }
+  };
+
+  bus.on('event', onEvent);
+  return () => bus.off('event', onEvent);
+};
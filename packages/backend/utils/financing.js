@@ -0,0 +1,267 @@
+const Bid = require('../models/bidModel');
+const Bill = require('../models/billModel');
+const User = require('../models/userModal');
+const AppError = require('./appError');
+const funds = require('./funds');
+const ledger = require('./ledger');
+const settlement = require('./settlement');
+const transitions = require('./billTransitions');
+
+// Reject the bids still pending on a bill and release their funds holds
+exports.rejectPendingBids = async (billId, session) => {
+  const bidIds = await Bid.distinct('_id', {
+    bill: billId,
+    status: 'pending',
+  }).session(session);
+
+  await Bid.updateMany(
+    { _id: { $in: bidIds } },
+    { status: 'rejected' },
+    { session },
+  );
+  await funds.releaseHolds(bidIds, 'rejected', session);
+
+  return bidIds;
+};
+
+// Accept a pending bid and finance its bill. Must run inside a transaction
+// (see utils/transaction.js): every write is conditional on the state read at
+// the start, so a competing accept either hits a write conflict and is retried
+// by the driver, or fails the guard and aborts the whole flow. Resolves with
+// the accepted bid, the financed bill and the ids of the bids rejected in
+// its place.
+exports.acceptBid = async (bidId, { organizationId, session }) => {
+  const bid = await Bid.findById(bidId).session(session);
+
+  if (!bid) {
+    throw new AppError('No bid found with that ID', 404);
+  }
+
+  const bill = await Bill.findById(bid.bill).session(session);
+
+  if (!bill) {
+    throw new AppError('No bill found with that ID', 404);
+  }
+
+  // Check if user owns the bill
+  if (organizationId && bill.organization.toString() !== organizationId) {
+    throw new AppError('You can only accept bids on your own bills', 403);
+  }
+
+  if (bid.status !== 'pending') {
+    throw new AppError('Bid is no longer available', 400);
+  }
+
+  if (bid.expiresAt <= new Date()) {
+    throw new AppError('Bid has expired', 400);
+  }
+
+  transitions.check(bill, 'finance');
+
+  // A counter from the financer replaces the terms of their bid
+  if (organizationId && bid.openCounterOffer?.from === 'financer') {
+    throw new AppError(
+      "Respond to the financer's counter-offer instead of accepting the bid",
+      400,
+    );
+  }
+
+  // Auctions are awarded by the closeAuctions job, never by hand
+  if (organizationId && bill.auctionEndsAt) {
+    throw new AppError(
+      'Bids on this bill are awarded automatically when its auction closes',
+      400,
+    );
+  }
+
+  const now = new Date();
+
+  // Update bid status, only if nobody else got there first
+  const acceptedBid = await Bid.findOneAndUpdate(
+    { _id: bid._id, status: 'pending' },
+    { status: 'accepted', acceptedAt: now },
+    { new: true, session },
+  );
+  if (!acceptedBid) {
+    throw new AppError('Bid is no longer available', 400);
+  }
+
+  // A bill can only flip to financed once
+  const financedBill = await Bill.findOneAndUpdate(
+    { _id: bill._id, status: 'sent', financer: null },
+    {
+      financer: bid.financer,
+      currentOwner: bid.financer,
+      status: 'financed',
+      financingPercentage: bid.financingPercentage,
+      financedAmount: bid.bidAmount,
+      financingInterest: bid.interest,
+      isInMarketplace: false,
+      financedAt: now,
+    },
+    { new: true, runValidators: true, session },
+  );
+  if (!financedBill) {
+    throw new AppError('Bill has already been financed', 400);
+  }
+
+  // Reject all other pending bids for this bill and free their funds
+  const rejectedBids = await exports.rejectPendingBids(bill._id, session);
+
+  // Pay the advance out of the winning bid's hold to the organization. Bids
+  // placed before holds existed have none, so their amount comes straight
+  // out of available funds.
+  const hold = await funds.captureHold(bid._id, session);
+  await ledger.post(
+    {
+      type: 'investment',
+      description: `Financing of bill ${bill.billNumber}`,
+      currency: bill.currency,
+      bill: bill._id,
+      bid: bid._id,
+      initiatedBy: bill.organization,
+      entries: [
+        {
+          user: bid.financer,
+          account: hold ? 'reserved' : 'available',
+          direction: 'debit',
+          amount: bid.bidAmount,
+        },
+        {
+          user: bill.organization,
+          account: 'balance',
+          direction: 'credit',
+          amount: bid.bidAmount,
+        },
+      ],
+    },
+    session,
+    {
+      insufficientFundsMessage: 'Financer has insufficient funds for this bid',
+    },
+  );
+
+  // Update financer stats
+  await User.updateOne(
+    { _id: bid.financer },
+    {
+      $inc: {
+        'stats.totalBidsWon': 1,
+        'stats.totalInvestmentAmount': bid.bidAmount,
+      },
+    },
+    { session },
+  );
+
+  return { bid: acceptedBid, bill: financedBill, rejectedBids };
+};
+
+// Record a customer payment on a bill, which may be a partial one, and settle
+// it between the financer, the platform and the organization. The bill is
+// paid once nothing is outstanding. Like acceptBid this expects to run inside
+// a transaction.
+exports.payBill = async (
+  billId,
+  { customerId, amount, method, reference, session },
+) => {
+  const bill = await Bill.findById(billId).session(session);
+
+  if (!bill) {
+    throw new AppError('No bill found with that ID', 404);
+  }
+
+  // Check if user is the customer for this bill
+  if (bill.customer.toString() !== customerId) {
+    throw new AppError('You can only pay your own bills', 403);
+  }
+
+  if (bill.status === 'paid') {
+    throw new AppError('Bill has already been paid', 400);
+  }
+
+  if (!transitions.findTransition('pay').from.includes(bill.status)) {
+    throw new AppError('Bill cannot be paid in current status', 400);
+  }
+
+  // Pay whatever is outstanding unless told otherwise
+  const paymentAmount =
+    amount === undefined ? bill.outstanding : Math.round(amount * 100) / 100;
+
+  if (!(paymentAmount > 0)) {
+    throw new AppError('Payment amount must be positive', 400);
+  }
+  if (paymentAmount > bill.outstanding) {
+    throw new AppError(
+      `Payment exceeds the outstanding amount of ${bill.outstanding}`,
+      400,
+    );
+  }
+
+  const fullyPaid = paymentAmount === bill.outstanding;
+  const now = new Date();
+  const update = {
+    $push: {
+      payments: { amount: paymentAmount, method, reference, paidAt: now },
+    },
+    isInMarketplace: false,
+  };
+  if (fullyPaid) {
+    Object.assign(update, { status: 'paid', paidAt: now, isActive: false });
+  } else if (bill.status === 'sent') {
+    // Financed, overdue and defaulted bills keep their status until fully
+    // paid
+    update.status = 'partially_paid';
+  }
+
+  // Only apply on top of the state we read, so two payments (or a payment
+  // and a credit note) can never both count against the same outstanding
+  // amount
+  const paidBill = await Bill.findOneAndUpdate(
+    {
+      _id: bill._id,
+      status: bill.status,
+      creditedAmount: bill.creditedAmount,
+      [`payments.${bill.payments.length}`]: { $exists: false },
+    },
+    update,
+    { new: true, runValidators: true, session },
+  );
+  if (!paidBill) {
+    throw new AppError('Bill was updated concurrently, please try again', 409);
+  }
+
+  // Update customer stats
+  await User.updateOne(
+    { _id: customerId },
+    {
+      $inc: {
+        'stats.totalBillsPaid': fullyPaid ? 1 : 0,
+        'stats.totalAmountPaid': paymentAmount,
+      },
+    },
+    { session },
+  );
+
+  // Bids still pending on a bill paid before it was financed can never win
+  await exports.rejectPendingBids(bill._id, session);
+
+  // Pay out the financer, the platform fee and the organization
+  const legs = await settlement.settlePayment(paidBill, paymentAmount, session);
+
+  const payment = paidBill.payments[paidBill.payments.length - 1];
+  await Bill.updateOne(
+    { _id: bill._id, 'payments._id': payment._id },
+    {
+      $set: {
+        'payments.$.settlement': {
+          financerAmount: legs.financerAmount,
+          platformFee: legs.platformFee,
+          organizationAmount: legs.organization,
+        },
+      },
+    },
+    { session },
+  );
+
+  return Bill.findById(paidBill._id).session(session);
+};
@@ -0,0 +1,175 @@
+const Bid = require('../models/bidModel');
+const Hold = require('../models/holdModel');
+const AppError = require('./appError');
+const inSeries = require('./inSeries');
+const ledger = require('./ledger');
+
+// All helpers below take the session of the surrounding transaction so the
+// hold document, the ledger and the financer's balances always move together.
+
+// Move amount from availableFunds to reservedFunds, but only if it is there
+const reserve = (hold, amount, session, insufficientFundsMessage) =>
+  ledger.post(
+    {
+      type: 'hold',
+      description: 'Funds reserved for bid',
+      currency: hold.currency,
+      bill: hold.bill,
+      bid: hold.bid,
+      initiatedBy: hold.financer,
+      entries: [
+        {
+          user: hold.financer,
+          account: 'available',
+          direction: 'debit',
+          amount,
+        },
+        {
+          user: hold.financer,
+          account: 'reserved',
+          direction: 'credit',
+          amount,
+        },
+      ],
+    },
+    session,
+    { insufficientFundsMessage },
+  );
+
+const unreserve = (hold, amount, session) =>
+  ledger.post(
+    {
+      type: 'release',
+      description: 'Funds released from bid',
+      currency: hold.currency,
+      bill: hold.bill,
+      bid: hold.bid,
+      initiatedBy: hold.financer,
+      entries: [
+        {
+          user: hold.financer,
+          account: 'reserved',
+          direction: 'debit',
+          amount,
+        },
+        {
+          user: hold.financer,
+          account: 'available',
+          direction: 'credit',
+          amount,
+        },
+      ],
+    },
+    session,
+  );
+
+// Reserve funds for a newly placed bid, in the bill's currency
+exports.placeHold = async (
+  { financer, bid, bill, amount, currency },
+  session,
+) => {
+  await exports.expireBids({ financer }, session);
+
+  await reserve(
+    { financer, bid, bill, currency },
+    amount,
+    session,
+    'Insufficient funds to place this bid',
+  );
+
+  const [hold] = await Hold.create(
+    [{ financer, bid, bill, amount, currency }],
+    { session },
+  );
+
+  return hold;
+};
+
+// Grow or shrink the hold of a bid whose amount changed
+exports.adjustHold = async (bidId, newAmount, session) => {
+  const hold = await Hold.findOne({ bid: bidId, status: 'active' }).session(
+    session,
+  );
+  if (!hold) {
+    throw new AppError('No active funds hold found for this bid', 400);
+  }
+
+  const delta = newAmount - hold.amount;
+  if (delta > 0) {
+    await exports.expireBids({ financer: hold.financer }, session);
+    await reserve(
+      hold,
+      delta,
+      session,
+      'Insufficient funds for updated bid amount',
+    );
+  }
+  if (delta < 0) {
+    await unreserve(hold, -delta, session);
+  }
+
+  hold.amount = newAmount;
+  await hold.save({ session });
+
+  return hold;
+};
+
+// Give the held amount back to the financer. Returns null if the bid had no
+// active hold (e.g. it was placed before holds existed).
+exports.releaseHold = async (bidId, reason, session) => {
+  const hold = await Hold.findOneAndUpdate(
+    { bid: bidId, status: 'active' },
+    { status: 'released', releaseReason: reason, releasedAt: new Date() },
+    { new: true, session },
+  );
+  if (!hold) return null;
+
+  await unreserve(hold, hold.amount, session);
+
+  return hold;
+};
+
+// Release the holds of several bids at once
+exports.releaseHolds = async (bidIds, reason, session) => {
+  // In series on purpose: a session cannot run operations in parallel
+  const holds = await inSeries(bidIds, (bidId) =>
+    exports.releaseHold(bidId, reason, session),
+  );
+
+  return holds.filter(Boolean);
+};
+
+// Mark the hold of an accepted bid as used. The reserved amount itself is
+// moved by the investment posting in utils/financing.js. Returns null if the
+// bid had no active hold.
+exports.captureHold = async (bidId, session) => {
+  const hold = await Hold.findOneAndUpdate(
+    { bid: bidId, status: 'active' },
+    { status: 'captured', capturedAt: new Date() },
+    { new: true, session },
+  );
+
+  return hold;
+};
+
+// Expire lapsed pending bids matching filter (e.g. one financer's) and give
+// their holds back, so funds tied up in bids nobody accepted can be bid
+// again. Resolves with the ids of the bids that were expired.
+exports.expireBids = async (filter, session) => {
+  const expiredBidIds = await Bid.distinct('_id', {
+    ...filter,
+    status: 'pending',
+    expiresAt: { $lte: new Date() },
+  }).session(session);
+
+  if (!expiredBidIds.length) return [];
+
+  await Bid.updateMany(
+    { _id: { $in: expiredBidIds }, status: 'pending' },
+    { status: 'expired' },
+    { session },
+  );
+  await exports.releaseHolds(expiredBidIds, 'expired', session);
+
+  return expiredBidIds;
+};
@@ -0,0 +1,24 @@
+const AppError = require('./appError');
+
+// Mongoose plugin for append-only collections: documents can be created but
+// any later save, update or delete is rejected.
+module.exports = (schema, { message = 'Document cannot be modified' } = {}) => {
+  schema.pre('save', function (next) {
+    if (!this.isNew) return next(new AppError(message, 400));
+    next();
+  });
+
+  schema.pre(
+    [
+      'updateOne',
+      'updateMany',
+      'findOneAndUpdate',
+      'replaceOne',
+      'findOneAndReplace',
+      'deleteOne',
+      'deleteMany',
+      'findOneAndDelete',
+    ],
+    (next) => next(new AppError(message, 400)),
+  );
+};
@@ -0,0 +1,12 @@
+// Runs fn(item) for each item, one after the other, and resolves with the
+// results in order. For work that must not overlap, e.g. transactions that
+// touch the same documents or jobs that should not load the database at once.
+module.exports = (items, fn) =>
+  items.reduce(
+    (previous, item) =>
+      previous.then(async (results) => {
+        results.push(await fn(item));
+        return results;
+      }),
+    Promise.resolve([]),
+  );
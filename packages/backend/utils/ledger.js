@@ -0,0 +1,114 @@
+const LedgerEntry = require('../models/ledgerEntryModel');
+const Transaction = require('../models/transactionModel');
+const User = require('../models/userModal');
+const AppError = require('./appError');
+const { PLATFORM_CURRENCY } = require('./currency');
+const inSeries = require('./inSeries');
+
+// User fields that cache the balance of each user account. Platform accounts
+// (cash, fees) only live in the ledger.
+const BALANCE_FIELDS = {
+  available: ['financerDetails', 'availableFunds'],
+  reserved: ['financerDetails', 'reservedFunds'],
+  balance: ['organizationDetails', 'balance'],
+};
+
+// Path of the cached balance of an account in a currency. Platform currency
+// balances use the fields above, others live under currencyBalances.
+const balanceField = (account, currency) => {
+  if (!BALANCE_FIELDS[account]) return null;
+
+  const [details, field] = BALANCE_FIELDS[account];
+  if (!currency || currency === PLATFORM_CURRENCY) return `${details}.${field}`;
+  return `${details}.currencyBalances.${currency}.${field}`;
+};
+
+const toCents = (amount) => Math.round(amount * 100);
+
+// Post one balanced transaction in a single currency (the platform currency
+// by default). entries is a list of { user, account, direction, amount };
+// debits must equal credits. The cached
+// balance of every user account touched is moved in the same session, and a
+// debit that would take it below zero aborts with insufficientFundsMessage.
+// Must run inside a transaction (see utils/transaction.js).
+exports.post = async (
+  {
+    type,
+    description,
+    bill,
+    bid,
+    initiatedBy,
+    entries,
+    currency = PLATFORM_CURRENCY,
+  },
+  session,
+  { insufficientFundsMessage = 'Insufficient funds' } = {},
+) => {
+  const totals = { debit: 0, credit: 0 };
+  entries.forEach((entry) => {
+    if (!(entry.amount > 0)) {
+      throw new AppError('Ledger entry amounts must be positive', 400);
+    }
+    totals[entry.direction] += toCents(entry.amount);
+  });
+  if (totals.debit !== totals.credit) {
+    throw new AppError('Ledger transaction is not balanced', 500);
+  }
+
+  const [transaction] = await Transaction.create(
+    [
+      {
+        type,
+        description,
+        bill,
+        bid,
+        initiatedBy,
+        amount: totals.debit / 100,
+        currency,
+      },
+    ],
+    { session },
+  );
+
+  // In series on purpose: a session cannot run operations in parallel
+  const docs = await inSeries(entries, async (entry) => {
+    const field = balanceField(entry.account, currency);
+    let balanceAfter;
+
+    if (field) {
+      const change =
+        entry.direction === 'credit' ? entry.amount : -entry.amount;
+      const filter = { _id: entry.user };
+      if (change < 0) filter[field] = { $gte: entry.amount };
+
+      const user = await User.findOneAndUpdate(
+        filter,
+        { $inc: { [field]: change } },
+        { new: true, session },
+      );
+      if (!user) {
+        throw new AppError(insufficientFundsMessage, 400);
+      }
+      balanceAfter = user.get(field);
+    }
+
+    return {
+      transaction: transaction._id,
+      type,
+      user: field ? entry.user : null,
+      account: entry.account,
+      direction: entry.direction,
+      amount: entry.amount,
+      currency,
+      balanceAfter,
+      bill,
+      bid,
+    };
+  });
+
+  await LedgerEntry.create(docs, { session, ordered: true });
+
+  return transaction;
+};
+
+exports.balanceField = balanceField;
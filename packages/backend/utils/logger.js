@@ -0,0 +1,12 @@
+const util = require('util');
+
+// The server's own log output, as timestamped lines on stdout (info) and
+// stderr (warn, error). Arguments are formatted like console.log's.
+const write = (stream, level, args) =>
+  stream.write(
+    `${new Date().toISOString()} ${level.toUpperCase()} ${util.format(...args)}\n`,
+  );
+
+exports.info = (...args) => write(process.stdout, 'info', args);
+exports.warn = (...args) => write(process.stderr, 'warn', args);
+exports.error = (...args) => write(process.stderr, 'error', args);
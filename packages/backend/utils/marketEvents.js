@@ -0,0 +1,466 @@
+const Bid = require('../models/bidModel');
+const Bill = require('../models/billModel');
+const User = require('../models/userModal');
+const eventBus = require('./eventBus');
+const logger = require('./logger');
+const notifications = require('./notifications');
+const webhooks = require('./webhooks');
+
+// Bill, bid and dispute lifecycle events: published in real time, sent to webhooks
+// and stored as notifications for the users involved (see
+// utils/notifications.js and utils/webhooks.js). Bid details follow the
+// visibility rules of bidController.getBidsForBill: a bid is only shown in
+// full to its financer and the bill's organization, other financers just
+// learn they were outbid. All of these are called after the change has been
+// committed and never throw, so a failing event cannot fail the request that
+// caused it.
+
+const safely =
+  (fn) =>
+  async (...args) => {
+    try {
+      await fn(...args);
+    } catch (err) {
+      logger.error('Could not publish event:', err);
+    }
+  };
+
+const billSummary = (bill) => ({
+  _id: bill._id,
+  billNumber: bill.billNumber,
+  title: bill.title,
+  amount: bill.amount,
+  currency: bill.currency,
+  status: bill.status,
+  dueDate: bill.dueDate,
+  auctionEndsAt: bill.auctionEndsAt,
+  auctionMode: bill.auctionMode,
+});
+
+const bidSummary = (bid) => ({
+  _id: bid._id,
+  bill: bid.bill,
+  financer: bid.financer,
+  financingPercentage: bid.financingPercentage,
+  bidAmount: bid.bidAmount,
+  currency: bid.currency,
+  interest: bid.interest,
+  status: bid.status,
+  expiresAt: bid.expiresAt,
+});
+
+const disputeSummary = (dispute) => ({
+  _id: dispute._id,
+  bill: dispute.bill,
+  reason: dispute.reason,
+  status: dispute.status,
+  escalatedAt: dispute.escalatedAt,
+  resolution: dispute.resolution,
+  createdAt: dispute.createdAt,
+});
+
+// Publish an event to the users' event streams and webhooks
+const publish = async (type, data, users) => {
+  eventBus.publish(type, data, { users });
+  await webhooks.dispatch(type, data, users);
+};
+
+const money = (amount, currency) => `${amount} ${currency}`;
+
+const bidTerms = (bid) =>
+  `${bid.financingPercentage}% (${money(bid.bidAmount, bid.currency)}) at ${bid.interest}% interest`;
+
+const publishListed = (bill) => {
+  eventBus.publish('bill.listed', billSummary(bill), { roles: ['financer'] });
+};
+
+// A bill was put on the marketplace: every financer may bid on it
+exports.billListed = safely(publishListed);
+
+// A bill was sent to its customer and listed on the marketplace
+exports.billSent = safely(async (bill) => {
+  publishListed(bill);
+  await publish('bill.sent', billSummary(bill), [
+    bill.organization,
+    bill.customer,
+  ]);
+
+  await notifications.notify([bill.customer], 'bill.received', {
+    title: `New bill ${bill.billNumber}`,
+    message: `You have received bill ${bill.billNumber} (${bill.title}) for ${money(bill.amount, bill.currency)}, due on ${bill.dueDate.toDateString()}.`,
+    bill: bill._id,
+  });
+});
+
+// A bid was placed or changed (type is bid.placed or bid.updated).
+// previousLeader is the best bid on the bill before the change; if it was
+// another financer's and this bid took over, they are told they were
+// outbid, unless the bill is in a sealed auction that is still running.
+exports.bidChanged = safely(async (type, bid, previousLeader) => {
+  const bill = await Bill.findById(bid.bill);
+  if (!bill) return;
+
+  await publish(type, bidSummary(bid), [bid.financer, bill.organization]);
+
+  await notifications.notify([bill.organization], type, {
+    title:
+      type === 'bid.placed'
+        ? `New bid on bill ${bill.billNumber}`
+        : `Bid updated on bill ${bill.billNumber}`,
+    message: `A financer ${type === 'bid.placed' ? 'bid' : 'now offers'} ${bidTerms(bid)} on bill ${bill.billNumber}.`,
+    bill: bill._id,
+    bid: bid._id,
+  });
+
+  // Sealed auctions don't disclose whether a bid leads until they close,
+  // like getHighestBid
+  if (
+    !previousLeader ||
+    previousLeader.financer.toString() === bid.financer.toString() ||
+    (bill.auctionMode === 'sealed' && bill.auctionStatus === 'running')
+  ) {
+    return;
+  }
+
+  const leader = await Bid.findHighestBid(bill._id);
+  if (!leader || !leader._id.equals(bid._id)) return;
+
+  await publish(
+    'bid.outbid',
+    {
+      bid: previousLeader._id,
+      bill: bill._id,
+      leadingBid: {
+        financingPercentage: leader.financingPercentage,
+        interest: leader.interest,
+      },
+    },
+    [previousLeader.financer],
+  );
+
+  await notifications.notify([previousLeader.financer], 'bid.outbid', {
+    title: `You were outbid on bill ${bill.billNumber}`,
+    message: `Your bid on bill ${bill.billNumber} is no longer the best one. The leading bid is ${leader.financingPercentage}% at ${leader.interest}% interest.`,
+    bill: bill._id,
+    bid: previousLeader._id,
+  });
+});
+
+// A counter-offer was made on a bid: the other side is asked to respond
+exports.counterOffered = safely(async (bid) => {
+  const bill = await Bill.findById(bid.bill);
+  const offer = bid.counterOffers[bid.counterOffers.length - 1];
+  if (!bill || !offer) return;
+
+  await publish(
+    'bid.countered',
+    { bid: bidSummary(bid), counterOffer: offer },
+    [bid.financer, bill.organization],
+  );
+
+  const recipient =
+    offer.from === 'organization' ? bid.financer : bill.organization;
+  await notifications.notify([recipient], 'bid.countered', {
+    title: `Counter-offer on bill ${bill.billNumber}`,
+    message: `The ${offer.from} proposes ${offer.financingPercentage}% at ${offer.interest}% interest on bill ${bill.billNumber}. The offer is open until ${offer.expiresAt.toUTCString()}.`,
+    bill: bill._id,
+    bid: bid._id,
+  });
+});
+
+// Bids that lost out when their bill was financed, its auction closed or it
+// could no longer be financed
+const bidsRejected = async (bidIds, bill) => {
+  const bids = await Bid.find({ _id: { $in: bidIds } });
+
+  await Promise.all(
+    bids.map(async (bid) => {
+      await publish('bid.rejected', bidSummary(bid), [bid.financer]);
+      await notifications.notify([bid.financer], 'bid.rejected', {
+        title: `Your bid on bill ${bill.billNumber} was not accepted`,
+        message: `Your bid of ${bidTerms(bid)} on bill ${bill.billNumber} was not accepted and the funds held for it are available again.`,
+        bill: bill._id,
+        bid: bid._id,
+      });
+    }),
+  );
+};
+
+const bidWon = async (bid, bill, rejectedBids) => {
+  await publish(
+    'bid.accepted',
+    { bid: bidSummary(bid), bill: billSummary(bill) },
+    [bid.financer, bill.organization],
+  );
+
+  await notifications.notify([bid.financer], 'bid.accepted', {
+    title: `Your bid on bill ${bill.billNumber} was accepted`,
+    message: `Your bid of ${bidTerms(bid)} on bill ${bill.billNumber} was accepted. The funds held for it have been paid out to the organization.`,
+    bill: bill._id,
+    bid: bid._id,
+  });
+  await bidsRejected(rejectedBids, bill);
+};
+
+// A bid was accepted and its bill financed. rejectedBids are the ids of the
+// other bids on the bill, rejected in its place.
+exports.bidAccepted = safely(async (bid, bill, rejectedBids = []) => {
+  await bidWon(bid, bill, rejectedBids);
+
+  await notifications.notify([bill.organization], 'bid.accepted', {
+    title: `Bill ${bill.billNumber} has been financed`,
+    message: `Bill ${bill.billNumber} was financed at ${bidTerms(bid)} and the advance has been credited to your balance.`,
+    bill: bill._id,
+    bid: bid._id,
+  });
+});
+
+// The auction of a bill closed, with or without a winner (see
+// utils/auction.js close)
+exports.auctionClosed = safely(async ({ bill, winner, rejectedBids }) => {
+  await publish(
+    'auction.closed',
+    {
+      bill: billSummary(bill),
+      outcome: winner ? 'awarded' : 'unawarded',
+      winningBid: winner ? bidSummary(winner) : null,
+    },
+    [bill.organization],
+  );
+
+  if (winner) {
+    await bidWon(winner, bill, rejectedBids);
+  } else {
+    await bidsRejected(rejectedBids, bill);
+  }
+
+  await notifications.notify([bill.organization], 'auction.closed', {
+    title: `Auction closed for bill ${bill.billNumber}`,
+    message: winner
+      ? `Bill ${bill.billNumber} was financed at ${bidTerms(winner)} and the advance has been credited to your balance.`
+      : `No bid on bill ${bill.billNumber} met your reserve terms, so it has been taken off the marketplace. You can put it up for auction again.`,
+    bill: bill._id,
+    bid: winner ? winner._id : undefined,
+  });
+});
+
+// Pending bids of a financer lapsed before they were accepted
+exports.bidsExpired = safely(async (financerId, bidIds) => {
+  const bids = await Bid.find({ _id: { $in: bidIds } }).populate(
+    'bill',
+    'billNumber title',
+  );
+  if (!bids.length) return;
+
+  await publish('bid.expired', { bids: bids.map(bidSummary) }, [financerId]);
+
+  const lines = bids.map(
+    (bid) =>
+      `- ${bid.bill?.billNumber || bid.bill}: ${bid.financingPercentage}% (${bid.bidAmount})`,
+  );
+  await notifications.notify([financerId], 'bid.expired', {
+    title:
+      bids.length === 1 ? 'Your bid has expired' : 'Your bids have expired',
+    message: `The following bids expired before they were accepted and the funds held for them are available again:\n${lines.join('\n')}`,
+    bill: bids.length === 1 ? bids[0].bill?._id : undefined,
+    bid: bids.length === 1 ? bids[0]._id : undefined,
+  });
+});
+
+// A customer paid (part of) a bill
+exports.billPaid = safely(async (bill, amount) => {
+  await publish(
+    'bill.paid',
+    {
+      bill: billSummary(bill),
+      amount,
+      outstanding: bill.outstanding,
+      status: bill.status,
+    },
+    [bill.organization, bill.customer, bill.financer],
+  );
+
+  await notifications.notify([bill.organization, bill.financer], 'bill.paid', {
+    title:
+      bill.status === 'paid'
+        ? `Bill ${bill.billNumber} has been paid`
+        : `Payment received on bill ${bill.billNumber}`,
+    message: `The customer paid ${money(amount, bill.currency)} on bill ${bill.billNumber}. ${bill.status === 'paid' ? 'The bill is now fully paid.' : `${money(bill.outstanding, bill.currency)} is still outstanding.`}`,
+    bill: bill._id,
+  });
+});
+
+// A bill passed its due date without being paid in full. rejectedBids are
+// the ids of the pending bids rejected as it left the marketplace.
+exports.billOverdue = safely(async (bill, rejectedBids = []) => {
+  await publish('bill.overdue', billSummary(bill), [
+    bill.organization,
+    bill.customer,
+    bill.financer,
+  ]);
+
+  await notifications.notify([bill.customer], 'bill.overdue', {
+    title: `Bill ${bill.billNumber} is overdue`,
+    message: `Bill ${bill.billNumber} (${bill.title}) was due on ${bill.dueDate.toDateString()} and ${money(bill.outstanding, bill.currency)} is still outstanding.`,
+    bill: bill._id,
+  });
+  await notifications.notify(
+    [bill.organization, bill.financer],
+    'bill.overdue',
+    {
+      title: `Bill ${bill.billNumber} is overdue`,
+      message: `Bill ${bill.billNumber} was due on ${bill.dueDate.toDateString()} and the customer still owes ${money(bill.outstanding, bill.currency)}.`,
+      bill: bill._id,
+    },
+  );
+  await bidsRejected(rejectedBids, bill);
+});
+
+// A credit note was issued against a bill. rejectedBids are the ids of the
+// pending bids rejected because the bill's amount changed.
+exports.billCredited = safely(
+  async (creditNote, bill, { from, rejectedBids = [] }) => {
+    await publish(
+      'bill.credited',
+      {
+        bill: billSummary(bill),
+        creditNote: {
+          _id: creditNote._id,
+          creditNoteNumber: creditNote.creditNoteNumber,
+          amount: creditNote.amount,
+          currency: creditNote.currency,
+          reason: creditNote.reason,
+          full: creditNote.full,
+        },
+        from,
+        outstanding: bill.outstanding,
+      },
+      [bill.organization, bill.customer, bill.financer],
+    );
+
+    await notifications.notify(
+      [bill.customer, bill.financer],
+      'bill.credited',
+      {
+        title: `Credit note ${creditNote.creditNoteNumber} for bill ${bill.billNumber}`,
+        message: `Bill ${bill.billNumber} was credited ${money(creditNote.amount, creditNote.currency)}: ${creditNote.reason}. ${creditNote.full ? 'Nothing is outstanding on it any more.' : `${money(bill.outstanding, bill.currency)} is still outstanding.`}`,
+        bill: bill._id,
+      },
+    );
+    await bidsRejected(rejectedBids, bill);
+  },
+);
+
+// A bill went through a lifecycle transition without an event of its own,
+// e.g. it was cancelled, voided or written off (see utils/billLifecycle.js). The
+// user who made the change is not notified of it.
+exports.billStatusChanged = safely(
+  async (bill, { action, from, user, rejectedBids = [] }) => {
+    const parties = [bill.organization, bill.customer, bill.financer];
+
+    await publish(
+      'bill.status_changed',
+      {
+        bill: billSummary(bill),
+        action,
+        from,
+        to: bill.status,
+        reason: bill.statusReason,
+      },
+      parties,
+    );
+
+    await notifications.notify(
+      parties.filter((el) => el && el.toString() !== user.id),
+      'bill.status_changed',
+      {
+        title: `Bill ${bill.billNumber} is now ${bill.status.replace(/_/g, ' ')}`,
+        message: `Bill ${bill.billNumber} (${bill.title}) went from ${from.replace(/_/g, ' ')} to ${bill.status.replace(/_/g, ' ')}.${bill.statusReason ? ` Reason: ${bill.statusReason}` : ''}`,
+        bill: bill._id,
+      },
+    );
+    await bidsRejected(rejectedBids, bill);
+  },
+);
+
+const disputeParties = (dispute) => [
+  dispute.customer,
+  dispute.organization,
+  dispute.financer,
+];
+
+// A customer disputed a bill: the organization and financer are asked to
+// look into it
+exports.disputeOpened = safely(async (dispute, bill) => {
+  await publish(
+    'dispute.opened',
+    { dispute: disputeSummary(dispute), bill: billSummary(bill) },
+    disputeParties(dispute),
+  );
+
+  await notifications.notify(
+    [dispute.organization, dispute.financer],
+    'dispute.opened',
+    {
+      title: `Bill ${bill.billNumber} has been disputed`,
+      message: `The customer disputes bill ${bill.billNumber} (${bill.title}): ${dispute.reason}. The bill is off the marketplace and bids and payments on it are on hold until the dispute is resolved.`,
+      bill: bill._id,
+    },
+  );
+});
+
+// A dispute was handed over to the admins, who are notified along with the
+// parties other than the one who escalated it
+exports.disputeEscalated = safely(async (dispute, bill, user) => {
+  const admins = await User.distinct('_id', { role: 'admin' });
+
+  await publish(
+    'dispute.escalated',
+    { dispute: disputeSummary(dispute), bill: billSummary(bill) },
+    disputeParties(dispute),
+  );
+
+  await notifications.notify(
+    [...disputeParties(dispute), ...admins].filter(
+      (el) => el && el.toString() !== user.id,
+    ),
+    'dispute.escalated',
+    {
+      title: `Dispute of bill ${bill.billNumber} escalated`,
+      message: `The dispute of bill ${bill.billNumber} has been escalated to the platform and will be resolved by an admin.${dispute.escalationReason ? ` Reason: ${dispute.escalationReason}` : ''}`,
+      bill: bill._id,
+    },
+  );
+});
+
+const resolutionMessages = {
+  reject: (bill) =>
+    `The dispute was rejected and bill ${bill.billNumber} is ${bill.status.replace(/_/g, ' ')} again.`,
+  adjust_amount: (bill, dispute) =>
+    `Bill ${bill.billNumber} was lowered from ${money(dispute.resolution.originalAmount, bill.currency)} to ${money(dispute.resolution.adjustedAmount, bill.currency)} and is ${bill.status.replace(/_/g, ' ')} again.`,
+  cancel_bill: (bill) => `Bill ${bill.billNumber} was cancelled.`,
+};
+
+// A dispute was resolved. rejectedBids are the ids of the pending bids
+// rejected because the bill changed.
+exports.disputeResolved = safely(
+  async (dispute, bill, { user, rejectedBids = [] }) => {
+    await publish(
+      'dispute.resolved',
+      { dispute: disputeSummary(dispute), bill: billSummary(bill) },
+      disputeParties(dispute),
+    );
+
+    const { note } = dispute.resolution;
+    await notifications.notify(
+      disputeParties(dispute).filter((el) => el && el.toString() !== user.id),
+      'dispute.resolved',
+      {
+        title: `Dispute of bill ${bill.billNumber} resolved`,
+        message: `${resolutionMessages[dispute.resolution.outcome](bill, dispute)}${note ? ` Note: ${note}` : ''}`,
+        bill: bill._id,
+      },
+    );
+    await bidsRejected(rejectedBids, bill);
+  },
+);
@@ -0,0 +1,284 @@
+const Bid = require('../models/bidModel');
+const Bill = require('../models/billModel');
+const User = require('../models/userModal');
+const APIFeatures = require('./apiFeatures');
+const { currencyOf } = require('./currency');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Query string keys handled here rather than as plain bill field filters
+const SEARCH_PARAMS = [
+  'q',
+  'businessType',
+  'verified',
+  'minBids',
+  'maxBids',
+  'dueWithin',
+];
+
+// Plain bill fields that can be filtered and sorted on
+const FILTER_FIELDS = [
+  'amount',
+  'currency',
+  'dueDate',
+  'createdAt',
+  'sentAt',
+  'auctionMode',
+];
+const SORT_FIELDS = [
+  'createdAt',
+  'sentAt',
+  'amount',
+  'dueDate',
+  'title',
+  'bidCount',
+  'daysToDue',
+];
+
+// Facet buckets: lower bounds, the last bucket is open ended
+const AMOUNT_BOUNDARIES = [0, 1000, 5000, 10000, 50000, 100000];
+const DAYS_TO_DUE_BOUNDARIES = [0, 30, 60, 90];
+const BID_COUNT_BOUNDARIES = [0, 1, 3, 6];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const bucket = (field, boundaries) => ({
+  $bucket: {
+    groupBy: field,
+    boundaries: [...boundaries, Number.MAX_SAFE_INTEGER],
+    output: { count: { $sum: 1 } },
+  },
+});
+
+// Label buckets by their range ("1000-5000", "100000+")
+const labelBuckets = (buckets, boundaries) =>
+  buckets.map(({ _id, count }) => {
+    const i = boundaries.indexOf(_id);
+    const to = boundaries[i + 1];
+    return { range: to == null ? `${_id}+` : `${_id}-${to}`, min: _id, count };
+  });
+
+// Amounts are only comparable within a currency, so they are bucketed per
+// currency: { currency, buckets } for each currency with matches
+const amountBuckets = [
+  {
+    $group: {
+      _id: {
+        currency: currencyOf(),
+        bucket: {
+          $switch: {
+            branches: [...AMOUNT_BOUNDARIES].reverse().map((min) => ({
+              case: { $gte: ['$amount', min] },
+              then: min,
+            })),
+            default: null,
+          },
+        },
+      },
+      count: { $sum: 1 },
+    },
+  },
+  { $match: { '_id.bucket': { $ne: null } } },
+  { $sort: { '_id.currency': 1, '_id.bucket': 1 } },
+];
+
+const labelAmountBuckets = (groups) => {
+  const byCurrency = new Map();
+  groups.forEach(({ _id, count }) => {
+    if (!byCurrency.has(_id.currency)) byCurrency.set(_id.currency, []);
+    byCurrency.get(_id.currency).push({ _id: _id.bucket, count });
+  });
+  return [...byCurrency].map(([currency, buckets]) => ({
+    currency,
+    buckets: labelBuckets(buckets, AMOUNT_BOUNDARIES),
+  }));
+};
+
+// Every keyword has to appear in the title, description or organization
+// company name. null when q has no keywords, e.g. only spaces.
+const keywordMatch = (q) => {
+  const words = q.split(/\s+/).filter(Boolean);
+  if (!words.length) return null;
+
+  return {
+    $and: words.map((word) => {
+      const regex = new RegExp(escapeRegex(word), 'i');
+      return {
+        $or: [
+          { title: regex },
+          { description: regex },
+          { 'organization.organizationDetails.companyName': regex },
+        ],
+      };
+    }),
+  };
+};
+
+// Search the bills open for financing. Besides plain bill field filters (as
+// with APIFeatures, e.g. amount[gte]=1000) it takes q (keywords),
+// businessType (comma separated), verified, minBids/maxBids (never matching
+// sealed auctions) and dueWithin (days). Pages the same way as
+// APIFeatures. Resolves with a page of bills, its pagination info including
+// the total number of matches, and facet counts over all matches.
+exports.search = async (queryString) => {
+  const now = new Date();
+  const limit = APIFeatures.parseLimit(queryString.limit);
+  const sortSpec = APIFeatures.parseSort(queryString.sort, {
+    sortFields: SORT_FIELDS,
+  });
+
+  // Cast the plain field filters against the bill schema, as find() would
+  const fieldFilter = Bill.find(
+    APIFeatures.parseFilter(queryString, {
+      excludedFields: SEARCH_PARAMS,
+      allowedFields: FILTER_FIELDS,
+    }),
+  ).cast();
+
+  const pageStages = [];
+  if (queryString.cursor) {
+    pageStages.push({
+      $match: APIFeatures.cursorFilter(queryString.cursor, sortSpec),
+    });
+  }
+  pageStages.push({ $sort: sortSpec });
+  if (!queryString.cursor && queryString.page) {
+    pageStages.push({ $skip: ((queryString.page * 1 || 1) - 1) * limit });
+  }
+  pageStages.push({ $limit: limit + 1 });
+
+  const searchFilter = {};
+  const keywords = queryString.q && keywordMatch(queryString.q);
+  if (keywords) Object.assign(searchFilter, keywords);
+  if (queryString.businessType) {
+    searchFilter['organization.organizationDetails.businessType'] = {
+      $in: queryString.businessType.split(','),
+    };
+  }
+  if (queryString.verified !== undefined) {
+    searchFilter['organization.isVerified'] = queryString.verified === 'true';
+  }
+  if (queryString.minBids !== undefined || queryString.maxBids !== undefined) {
+    searchFilter.bidCount = {};
+    if (queryString.minBids !== undefined) {
+      searchFilter.bidCount.$gte = Number(queryString.minBids);
+    }
+    if (queryString.maxBids !== undefined) {
+      searchFilter.bidCount.$lte = Number(queryString.maxBids);
+    }
+  }
+  if (queryString.dueWithin !== undefined) {
+    searchFilter.daysToDue = { $lte: Number(queryString.dueWithin) };
+  }
+
+  const [result] = await Bill.aggregate([
+    // Both conditions on fields such as dueDate have to hold
+    { $match: { $and: [fieldFilter, Bill.marketplaceFilter()] } },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: 'organization',
+        foreignField: '_id',
+        as: 'organization',
+        pipeline: [
+          {
+            $project: {
+              name: 1,
+              'organizationDetails.companyName': 1,
+              'organizationDetails.businessType': 1,
+              isVerified: 1,
+            },
+          },
+        ],
+      },
+    },
+    { $unwind: '$organization' },
+    {
+      $lookup: {
+        from: Bid.collection.name,
+        localField: '_id',
+        foreignField: 'bill',
+        as: 'bidStats',
+        // Bids still open, as in Bid.findHighestBid
+        pipeline: [
+          { $match: { status: 'pending', expiresAt: { $gt: now } } },
+          { $count: 'count' },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        // Sealed auctions don't disclose their bids, not even how many
+        bidCount: {
+          $cond: [
+            { $eq: ['$auctionMode', 'sealed'] },
+            null,
+            { $ifNull: [{ $first: '$bidStats.count' }, 0] },
+          ],
+        },
+        daysToDue: {
+          $ceil: { $divide: [{ $subtract: ['$dueDate', now] }, DAY] },
+        },
+      },
+    },
+    { $match: searchFilter },
+    {
+      $project: {
+        bidStats: 0,
+        payments: 0,
+        settlement: 0,
+        __v: 0,
+      },
+    },
+    {
+      $facet: {
+        bills: pageStages,
+        total: [{ $count: 'count' }],
+        amount: amountBuckets,
+        daysToDue: [bucket('$daysToDue', DAYS_TO_DUE_BOUNDARIES)],
+        bidCount: [
+          { $match: { bidCount: { $ne: null } } },
+          bucket('$bidCount', BID_COUNT_BOUNDARIES),
+        ],
+        businessType: [
+          {
+            $group: {
+              _id: '$organization.organizationDetails.businessType',
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { count: -1 } },
+        ],
+        verified: [
+          {
+            $group: {
+              _id: { $ifNull: ['$organization.isVerified', false] },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const pagination = APIFeatures.pageInfo(result.bills, limit, sortSpec);
+  pagination.total = result.total[0] ? result.total[0].count : 0;
+
+  return {
+    bills: result.bills,
+    pagination,
+    facets: {
+      amount: labelAmountBuckets(result.amount),
+      daysToDue: labelBuckets(result.daysToDue, DAYS_TO_DUE_BOUNDARIES),
+      bidCount: labelBuckets(result.bidCount, BID_COUNT_BOUNDARIES),
+      businessType: result.businessType.map(({ _id, count }) => ({
+        businessType: _id || null,
+        count,
+      })),
+      verified: result.verified.map(({ _id, count }) => ({
+        verified: _id,
+        count,
+      })),
+    },
+  };
+};
@@ -0,0 +1,144 @@
+const Bid = require('../models/bidModel');
+const Bill = require('../models/billModel');
+const BidRevision = require('../models/bidRevisionModel');
+const AppError = require('./appError');
+const financing = require('./financing');
+const funds = require('./funds');
+
+// How long the other side has to respond to a counter-offer
+const roundDuration = () =>
+  (Number(process.env.COUNTER_OFFER_HOURS) || 24) * 60 * 60 * 1000;
+
+const otherSide = (side) =>
+  side === 'organization' ? 'financer' : 'organization';
+
+// Load a bid that user wants to negotiate and check it still can be.
+// Resolves with the bid, its bill and the side user is on.
+const load = async (bidId, user, session) => {
+  const bid = await Bid.findById(bidId).session(session);
+  if (!bid) {
+    throw new AppError('No bid found with that ID', 404);
+  }
+
+  const bill = await Bill.findById(bid.bill).session(session);
+  if (!bill) {
+    throw new AppError('No bill found with that ID', 404);
+  }
+
+  let side;
+  if (bill.organization.toString() === user.id) side = 'organization';
+  else if (bid.financer.toString() === user.id) side = 'financer';
+  else throw new AppError('You can only negotiate your own bids', 403);
+
+  if (bid.status !== 'pending') {
+    throw new AppError('Only pending bids can be negotiated', 400);
+  }
+  if (bid.expiresAt <= new Date()) {
+    throw new AppError('Bid has expired', 400);
+  }
+  if (bill.financer) {
+    throw new AppError('Bill has already been financed', 400);
+  }
+  if (bill.status !== 'sent') {
+    throw new AppError('Bill is not available for financing', 400);
+  }
+  if (bill.auctionEndsAt) {
+    throw new AppError('Bids on auctioned bills cannot be negotiated', 400);
+  }
+
+  return { bid, bill, side };
+};
+
+// Propose new terms on a pending bid. The organization can open a round at
+// any time; after that the sides take turns, each counter closing the offer
+// it answers. The bid is kept alive for at least as long as the new round.
+// Must run inside a transaction.
+exports.counter = async (
+  bidId,
+  { user, financingPercentage, interest, terms, message, session },
+) => {
+  const { bid, side } = await load(bidId, user, session);
+  const open = bid.openCounterOffer;
+
+  if (open && open.from === side) {
+    throw new AppError(
+      `Waiting for the ${otherSide(side)} to respond to your counter-offer`,
+      400,
+    );
+  }
+  if (side === 'financer' && !open) {
+    throw new AppError(
+      'There is no counter-offer to respond to, update your bid instead',
+      400,
+    );
+  }
+
+  const now = new Date();
+  const last = bid.counterOffers[bid.counterOffers.length - 1];
+  if (open) {
+    open.status = 'countered';
+    open.respondedAt = now;
+  } else if (last && last.status === 'open') {
+    last.status = 'expired';
+  }
+
+  // Terms not given are carried over from what is on the table
+  const current = open || bid;
+  const expiresAt = new Date(now.getTime() + roundDuration());
+  bid.counterOffers.push({
+    from: side,
+    by: user._id,
+    financingPercentage: financingPercentage ?? current.financingPercentage,
+    interest: interest ?? current.interest,
+    terms: terms ?? current.terms,
+    message,
+    expiresAt,
+  });
+  if (bid.expiresAt < expiresAt) bid.expiresAt = expiresAt;
+
+  await bid.save({ session });
+
+  return bid;
+};
+
+// Accept or reject the open counter-offer of the other side. Accepting
+// applies its terms to the bid, resizes the funds hold and finances the bill
+// through financing.acceptBid; rejecting leaves the bid as it was. Must run
+// inside a transaction.
+exports.respond = async (bidId, { user, accept, session }) => {
+  const { bid, side } = await load(bidId, user, session);
+  const open = bid.openCounterOffer;
+
+  if (!open || open.from === side) {
+    throw new AppError('There is no counter-offer awaiting your response', 400);
+  }
+
+  open.status = accept ? 'accepted' : 'rejected';
+  open.respondedAt = new Date();
+
+  if (!accept) {
+    await bid.save({ session });
+    return { bid };
+  }
+
+  // bidAmount is recalculated by the bid's pre-save hook
+  const before = bid.toObject();
+  bid.set({
+    financingPercentage: open.financingPercentage,
+    interest: open.interest,
+    terms: open.terms,
+  });
+  await bid.save({ session });
+
+  await funds.adjustHold(bid._id, bid.bidAmount, session);
+  await BidRevision.record(
+    bid,
+    { action: 'updated', changedBy: user._id, before },
+    session,
+  );
+
+  return financing.acceptBid(bid._id, {
+    organizationId: side === 'organization' ? user.id : undefined,
+    session,
+  });
+};
@@ -0,0 +1,51 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+// Addresses outside the public internet: this host, private networks,
+// link-local (which includes cloud metadata services), shared, multicast and
+// reserved ranges. IPv4-mapped IPv6 addresses are checked against the IPv4
+// ranges.
+const internal = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => internal.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => internal.addSubnet(address, prefix, 'ipv6'));
+
+exports.isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !internal.check(address, `ipv${family}`);
+};
+
+// Whether hostname (as in URL.hostname) is an address on the public internet
+// or a name that only resolves to such addresses
+exports.isPublicHost = async (hostname) => {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(host)) return exports.isPublicAddress(host);
+
+  try {
+    const addresses = await dns.lookup(host, { all: true, verbatim: true });
+    return (
+      addresses.length > 0 &&
+      addresses.every(({ address }) => exports.isPublicAddress(address))
+    );
+  } catch (err) {
+    return false;
+  }
+};
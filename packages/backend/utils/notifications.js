@@ -0,0 +1,41 @@
+const Notification = require('../models/notificationModel');
+const User = require('../models/userModal');
+const eventBus = require('./eventBus');
+const sendEmail = require('./email');
+const logger = require('./logger');
+
+// Notify users of a bill or bid event: store an in-app notification for each
+// of them, push it to their open event streams and email the ones whose
+// preferences ask for this type. Call after the change has been committed.
+exports.notify = async (users, type, { title, message, bill, bid }) => {
+  const userIds = [
+    ...new Set(users.filter(Boolean).map((el) => el.toString())),
+  ];
+  if (!userIds.length) return [];
+
+  const notifications = await Notification.insertMany(
+    userIds.map((user) => ({ user, type, title, message, bill, bid })),
+  );
+
+  notifications.forEach((notification) => {
+    eventBus.publish('notification', notification, {
+      users: [notification.user],
+    });
+  });
+
+  const recipients = await User.find({ _id: { $in: userIds } }).select(
+    'email notificationPreferences',
+  );
+
+  await Promise.all(
+    recipients
+      .filter((user) => user.notificationPreferences.email.includes(type))
+      .map((user) =>
+        sendEmail({ email: user.email, subject: title, message }).catch((err) =>
+          logger.error(`Could not email ${type} notification:`, err),
+        ),
+      ),
+  );
+
+  return notifications;
+};
@@ -0,0 +1,139 @@
+const Bid = require('../models/bidModel');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Longest time to due date a financer is comfortable with, by risk tolerance
+const HORIZON_BY_RISK = { low: 30, medium: 90, high: Infinity };
+
+// Points per factor; a bill matching on everything scores 100
+const WEIGHTS = {
+  amount: 25,
+  sector: 20,
+  horizon: 15,
+  organization: 10,
+  size: 10,
+  funds: 20,
+};
+
+// Advance assumed for financers who have not won a bid yet
+const DEFAULT_PERCENTAGE = 80;
+
+const formatAmount = (amount, currency) =>
+  `${Math.round(amount * 100) / 100} ${currency || ''}`.trim();
+
+// What scoring needs to know about a financer: their investment preferences,
+// the bids they won before and their funds
+exports.profile = async (financer) => {
+  const wonBids = await Bid.find({
+    financer: financer._id,
+    status: 'accepted',
+  }).populate('bill', 'organization amount');
+  const won = wonBids.filter((bid) => bid.bill);
+
+  const average = (values) =>
+    values.length
+      ? values.reduce((sum, el) => sum + el, 0) / values.length
+      : null;
+
+  return {
+    preferences: financer.financerDetails?.investmentPreferences || {},
+    organizations: new Set(won.map((bid) => bid.bill.organization.toString())),
+    averageAmount: average(won.map((bid) => bid.bill.amount)),
+    averagePercentage: average(won.map((bid) => bid.financingPercentage)),
+    funds: financer.fundsByCurrency(),
+  };
+};
+
+// Score an open bill (organization populated) for a financer's profile.
+// Returns the score out of 100 and one reason per factor saying
+// whether and why it matched.
+exports.score = (bill, profile) => {
+  const { preferences } = profile;
+  const organization = bill.organization || {};
+  const orgName =
+    organization.organizationDetails?.companyName || organization.name;
+  const reasons = [];
+  let score = 0;
+
+  const factor = (name, matched, detail) => {
+    const points = matched ? WEIGHTS[name] : 0;
+    score += points;
+    reasons.push({ factor: name, matched, points, detail });
+  };
+
+  // Amount range
+  const min = preferences.minAmount || 0;
+  const max = preferences.maxAmount ?? Infinity;
+  factor(
+    'amount',
+    bill.amount >= min && bill.amount <= max,
+    `Amount ${formatAmount(bill.amount, bill.currency)} is ${bill.amount >= min && bill.amount <= max ? 'within' : 'outside'} your preferred range of ${min} to ${max}`,
+  );
+
+  // Sector
+  const sectors = preferences.preferredSectors || [];
+  const sector = organization.organizationDetails?.businessType;
+  if (!sectors.length) {
+    factor('sector', true, 'You have no sector preference');
+  } else {
+    const matched =
+      !!sector &&
+      sectors.some((el) => el.toLowerCase() === sector.toLowerCase());
+    factor(
+      'sector',
+      matched,
+      sector
+        ? `${orgName} is in ${sector}, ${matched ? 'one of' : 'not one of'} your preferred sectors`
+        : `${orgName} has not stated its sector`,
+    );
+  }
+
+  // Time to due date against risk tolerance
+  const risk = preferences.riskTolerance || 'medium';
+  const days = Math.ceil((bill.dueDate.getTime() - Date.now()) / DAY);
+  const horizon = HORIZON_BY_RISK[risk];
+  factor(
+    'horizon',
+    days <= horizon,
+    days <= horizon
+      ? `Due in ${days} days, which suits your ${risk} risk tolerance`
+      : `Due in ${days} days, longer than the ${horizon} days that suit your ${risk} risk tolerance`,
+  );
+
+  // Past winning bids
+  const financedBefore = profile.organizations.has(
+    (organization._id || organization).toString(),
+  );
+  factor(
+    'organization',
+    financedBefore,
+    financedBefore
+      ? `You have financed bills from ${orgName} before`
+      : `You have not financed bills from ${orgName} yet`,
+  );
+
+  if (profile.averageAmount == null) {
+    factor('size', false, 'You have not won any bids yet');
+  } else {
+    const similar =
+      bill.amount >= profile.averageAmount / 2 &&
+      bill.amount <= profile.averageAmount * 2;
+    factor(
+      'size',
+      similar,
+      `Your winning bids were on bills of ${formatAmount(profile.averageAmount)} on average`,
+    );
+  }
+
+  // Funds for a typical advance, in the bill's currency
+  const percentage = profile.averagePercentage || DEFAULT_PERCENTAGE;
+  const advance = (bill.amount * percentage) / 100;
+  const available = profile.funds[bill.currency]?.availableFunds || 0;
+  factor(
+    'funds',
+    available >= advance,
+    `You have ${formatAmount(available, bill.currency)} available for an advance of about ${formatAmount(advance, bill.currency)} (${Math.round(percentage)}%)`,
+  );
+
+  return { score, reasons };
+};
@@ -0,0 +1,46 @@
+const audit = require('./audit');
+const logger = require('./logger');
+
+// Minimal in-process scheduler for periodic background jobs. Each job is
+// { name, interval (ms), run: async () => {} }; a run never overlaps with the
+// previous run of the same job and a failing run is logged, not fatal.
+// Nothing is scheduled when NODE_ENV is 'test' or SCHEDULER_ENABLED is 'false'.
+
+const timers = new Map();
+
+const isEnabled = () =>
+  process.env.NODE_ENV !== 'test' && process.env.SCHEDULER_ENABLED !== 'false';
+
+const runJob = async (job, state) => {
+  if (state.running) return;
+  state.running = true;
+  try {
+    // Changes made by the job are audited as the job's
+    await audit.runAsJob(job.name, () => job.run());
+  } catch (err) {
+    logger.error(`Scheduled job ${job.name} failed:`, err);
+  } finally {
+    state.running = false;
+  }
+};
+
+exports.start = (jobs) => {
+  if (!isEnabled()) return false;
+
+  jobs.forEach((job) => {
+    if (timers.has(job.name)) return;
+
+    const state = { running: false };
+    const timer = setInterval(() => runJob(job, state), job.interval);
+    // Don't keep the process alive just for the scheduler
+    timer.unref();
+    timers.set(job.name, timer);
+  });
+
+  return true;
+};
+
+exports.stop = () => {
+  timers.forEach((timer) => clearInterval(timer));
+  timers.clear();
+};
@@ -0,0 +1,173 @@
+const Bid = require('../models/bidModel');
+const Bill = require('../models/billModel');
+const User = require('../models/userModal');
+const ledger = require('./ledger');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Platform fee on financed bills, as a percentage of the bill amount after
+// credit notes
+const platformFeePercent = () => Number(process.env.PLATFORM_FEE_PERCENT) || 0;
+
+// What each party is owed out of a bill's payments, in the order payments
+// are applied: the financer's principal, then their return, then the
+// platform fee, and whatever is left goes to the organization.
+const entitlements = async (bill, session) => {
+  if (!bill.financer) {
+    return { principal: 0, financerReturn: 0, platformFee: 0 };
+  }
+
+  let interest = bill.financingInterest;
+  if (interest == null) {
+    // Bills financed before financingInterest was stored
+    const bid = await Bid.findOne({
+      bill: bill._id,
+      status: 'accepted',
+    }).session(session);
+    interest = bid ? bid.interest : 0;
+  }
+
+  return {
+    principal: bill.financedAmount,
+    financerReturn: round((bill.financedAmount * interest) / 100),
+    platformFee: round((bill.netAmount * platformFeePercent()) / 100),
+  };
+};
+
+// Split a cumulative paid amount over the waterfall
+const allocate = (total, due) => {
+  let left = total;
+  const take = (amount) => {
+    const taken = Math.min(left, amount);
+    left = round(left - taken);
+    return taken;
+  };
+
+  return {
+    principal: take(due.principal),
+    financerReturn: take(due.financerReturn),
+    platformFee: take(due.platformFee),
+    organization: left,
+  };
+};
+
+// What the financer of a bill is still to receive out of its payments:
+// their principal and return, less what has been paid out to them so far
+exports.financerOwed = async (bill, session) => {
+  const due = await entitlements(bill, session);
+  return Math.max(
+    0,
+    round(
+      due.principal +
+        due.financerReturn -
+        (bill.settlement?.financerAmount || 0),
+    ),
+  );
+};
+
+// Settle one customer payment on a bill: work out which part of it goes to
+// the financer (principal and return), the platform and the organization,
+// credit each of them through the ledger and keep the running totals on the
+// bill. Must run inside a transaction. Resolves with the legs of this
+// payment.
+exports.settlePayment = async (bill, amount, session) => {
+  const due = await entitlements(bill, session);
+  const paidBefore = round(
+    (bill.settlement?.financerAmount || 0) +
+      (bill.settlement?.platformFee || 0) +
+      (bill.settlement?.organizationAmount || 0),
+  );
+
+  const before = allocate(paidBefore, due);
+  const after = allocate(round(paidBefore + amount), due);
+  const legs = {
+    principal: round(after.principal - before.principal),
+    financerReturn: round(after.financerReturn - before.financerReturn),
+    platformFee: round(after.platformFee - before.platformFee),
+    organization: round(after.organization - before.organization),
+  };
+  const financerAmount = round(legs.principal + legs.financerReturn);
+
+  const common = {
+    currency: bill.currency,
+    bill: bill._id,
+    initiatedBy: bill.customer,
+  };
+  const fromCustomer = (to, legAmount) => [
+    { account: 'cash', direction: 'debit', amount: legAmount },
+    { ...to, direction: 'credit', amount: legAmount },
+  ];
+
+  // Each leg is its own ledger transaction so it can be traced separately
+  if (financerAmount > 0) {
+    await ledger.post(
+      {
+        ...common,
+        type: 'repayment',
+        description: `Repayment of bill ${bill.billNumber}`,
+        entries: fromCustomer(
+          { user: bill.financer, account: 'available' },
+          financerAmount,
+        ),
+      },
+      session,
+    );
+  }
+
+  if (legs.platformFee > 0) {
+    await ledger.post(
+      {
+        ...common,
+        type: 'fee',
+        description: `Platform fee on bill ${bill.billNumber}`,
+        entries: fromCustomer({ account: 'fees' }, legs.platformFee),
+      },
+      session,
+    );
+  }
+
+  if (legs.organization > 0) {
+    await ledger.post(
+      {
+        ...common,
+        type: 'settlement',
+        description: `Settlement of bill ${bill.billNumber}`,
+        entries: fromCustomer(
+          { user: bill.organization, account: 'balance' },
+          legs.organization,
+        ),
+      },
+      session,
+    );
+  }
+
+  await Bill.updateOne(
+    { _id: bill._id },
+    {
+      $inc: {
+        'settlement.financerAmount': financerAmount,
+        'settlement.platformFee': legs.platformFee,
+        'settlement.organizationAmount': legs.organization,
+      },
+    },
+    { session },
+  );
+
+  // Update owner stats
+  if (bill.financer && legs.financerReturn > 0) {
+    await User.updateOne(
+      { _id: bill.financer },
+      { $inc: { 'stats.totalReturns': legs.financerReturn } },
+      { session },
+    );
+  }
+  if (legs.organization > 0) {
+    await User.updateOne(
+      { _id: bill.organization },
+      { $inc: { 'stats.totalRevenue': legs.organization } },
+      { session },
+    );
+  }
+
+  return { ...legs, financerAmount };
+};
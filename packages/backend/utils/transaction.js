@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Runs fn(session) inside a MongoDB transaction and resolves with its result.
+// The driver retries the whole callback on TransientTransactionError and the
+// commit on UnknownTransactionCommitResult, so fn has to read everything it
+// relies on through the session and must be safe to run more than once.
+// Transactions need a replica set (a single-node one is enough).
+module.exports = (fn, options = {}) =>
+  mongoose.connection.transaction((session) => fn(session), {
+    readConcern: { level: 'snapshot' },
+    writeConcern: { w: 'majority' },
+    ...options,
+  });
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const Webhook = require('../models/webhookModel');
+const WebhookDelivery = require('../models/webhookDeliveryModel');
+const logger = require('./logger');
+const network = require('./network');
+
+// A delivery is retried until it gets a 2xx response or has been attempted
+// WEBHOOK_MAX_ATTEMPTS times. Retry n waits WEBHOOK_RETRY_BASE_SECONDS * 2^(n-1).
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+// How long a delivery being sent is kept from other senders
+const LEASE_MS = 2 * TIMEOUT_MS;
+
+// Test pings are only tried once
+const maxAttempts = (delivery) =>
+  delivery.event === 'ping' ? 1 : MAX_ATTEMPTS;
+
+exports.backoff = (attempt) => RETRY_BASE_SECONDS * 1000 * 2 ** (attempt - 1);
+
+// Signature of a payload: hex HMAC-SHA256 of "<timestamp>.<body>" with the
+// webhook's secret. Receivers recompute it from the X-Webhook-Timestamp
+// header and the raw request body.
+exports.sign = (secret, timestamp, body) =>
+  crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+const newEventId = () => `evt_${crypto.randomBytes(12).toString('hex')}`;
+
+const post = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = { at: new Date() };
+
+  try {
+    if (!(await network.isPublicHost(new URL(webhook.url).hostname))) {
+      throw new Error('Webhook URL does not resolve to a public address');
+    }
+
+    const res = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'invoice-financing-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${exports.sign(webhook.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    // The response body is not needed
+    await res.body?.cancel();
+
+    attempt.statusCode = res.status;
+    if (!res.ok) attempt.error = `Endpoint responded with ${res.status}`;
+  } catch (err) {
+    attempt.error =
+      err.name === 'TimeoutError'
+        ? `No response within ${TIMEOUT_MS} ms`
+        : err.cause?.message || err.message;
+  }
+
+  attempt.durationMs = Date.now() - attempt.at.getTime();
+  return attempt;
+};
+
+// Make the next attempt at a pending delivery that is due, unless another
+// sender got to it first. Resolves with the delivery as it stands afterwards.
+exports.deliver = async (deliveryId) => {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { nextAttemptAt: new Date(now.getTime() + LEASE_MS) },
+    { new: true },
+  );
+  if (!delivery) return WebhookDelivery.findById(deliveryId);
+
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook || !webhook.isActive) {
+    return WebhookDelivery.findByIdAndUpdate(
+      delivery._id,
+      {
+        status: 'failed',
+        nextAttemptAt: null,
+        $push: {
+          attempts: {
+            at: now,
+            error: webhook ? 'Webhook is disabled' : 'Webhook was deleted',
+          },
+        },
+      },
+      { new: true },
+    );
+  }
+
+  const attempt = await post(webhook, delivery);
+  const attemptCount = delivery.attempts.length + 1;
+  const update = { $push: { attempts: attempt } };
+
+  if (!attempt.error) {
+    Object.assign(update, {
+      status: 'succeeded',
+      deliveredAt: attempt.at,
+      nextAttemptAt: null,
+    });
+  } else if (attemptCount >= maxAttempts(delivery)) {
+    Object.assign(update, { status: 'failed', nextAttemptAt: null });
+  } else {
+    update.nextAttemptAt = new Date(Date.now() + exports.backoff(attemptCount));
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, update, {
+    new: true,
+  });
+};
+
+const createDelivery = (webhook, { event, eventId, payload, redeliveryOf }) =>
+  WebhookDelivery.create({
+    webhook: webhook._id,
+    user: webhook.user,
+    event,
+    eventId,
+    payload,
+    redeliveryOf,
+    nextAttemptAt: new Date(),
+  });
+
+// Queue an event for the active webhooks of the given users that subscribe
+// to it. The first attempt is made right away in the background, retries
+// are left to the deliverWebhooks job.
+exports.dispatch = async (type, data, users) => {
+  const userIds = [
+    ...new Set(users.filter(Boolean).map((el) => el.toString())),
+  ];
+  if (!userIds.length) return [];
+
+  const webhooks = await Webhook.find({
+    user: { $in: userIds },
+    isActive: true,
+    events: type,
+  });
+  if (!webhooks.length) return [];
+
+  const eventId = newEventId();
+  const payload = {
+    id: eventId,
+    type,
+    createdAt: new Date(),
+    // Stored as plain JSON so every delivery sends the same data
+    data: JSON.parse(JSON.stringify(data)),
+  };
+
+  const deliveries = await Promise.all(
+    webhooks.map((webhook) =>
+      createDelivery(webhook, { event: type, eventId, payload }),
+    ),
+  );
+
+  deliveries.forEach((delivery) => {
+    exports.deliver(delivery._id).catch((err) => {
+      logger.error(`Could not deliver webhook ${delivery._id}:`, err);
+    });
+  });
+
+  return deliveries;
+};
+
+// Send a test event to a webhook and wait for the outcome
+exports.ping = async (webhook) => {
+  const eventId = newEventId();
+  const delivery = await createDelivery(webhook, {
+    event: 'ping',
+    eventId,
+    payload: {
+      id: eventId,
+      type: 'ping',
+      createdAt: new Date(),
+      data: { webhook: webhook._id, events: webhook.events },
+    },
+  });
+
+  return exports.deliver(delivery._id);
+};
+
+// Send the event of an earlier delivery again, as a new delivery with the
+// same event ID, and wait for the outcome of the first attempt
+exports.redeliver = async (webhook, original) => {
+  const delivery = await createDelivery(webhook, {
+    event: original.event,
+    eventId: original.eventId,
+    payload: original.payload,
+    redeliveryOf: original._id,
+  });
+
+  return exports.deliver(delivery._id);
+};